@@ -1,4 +1,4 @@
-/*global define, module */
+/*global define, module, require, Buffer, Promise, Uint8Array */
 ; (function (global, factory) {
         typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory() :
         typeof define === 'function' && define.amd ? define(factory) :
@@ -11,10 +11,24 @@
      * @typedef VeloxServiceClientOptions
      * @type {object}
      * @property {string} serverUrl Server end point URL
+     * @property {object} [servers] other servers profiles (VeloxServiceServerProfile by name), the end points and calls choose
+     *  their server with the server option (default : the serverUrl)
      * @property {function} xhrPrepare function that receive the XHR object to customize it if needed
      * @property {string} [dataEncoding] default data encoding for ajax calls : form for formdata, json for json payload (default : form)
+     * @property {number} [timeout] default timeout in ms for ajax calls (default : no timeout)
+     * @property {VeloxServiceRetryPolicy|boolean} [retry] default retry policy for ajax calls (default : no retry)
+     * @property {VeloxServiceCacheOptions} [cache] options of the GET responses cache (enabled per end point)
+     * @property {string|VeloxServiceTransport} [transport] the transport to use : xhr, fetch, node or a custom transport object (default : xhr in browser, fetch or node elsewhere)
      * @property {boolean} testMode run in test mode (use mockData instead of calling server)
+     * @property {boolean} [validateResponses] validate the responses of end points having a responseSchema (default : true in test mode)
      * @property {VeloxServiceMock} testMocks test mock data
+     * @property {VeloxServiceRecordingOptions|boolean} [record] start recording the calls on creation (see startRecording)
+     * @property {VeloxServiceStorage} [uploadStorage] storage of the chunked upload states (default : localStorage if available, memory otherwise)
+     * @property {VeloxServiceBatchOptions|boolean} [batch] options of the calls batching (see batch)
+     * @property {VeloxServiceCorrelationOptions|boolean} [correlationId] send a correlation id header with each call, the same id
+     *  is kept for the retries (default : disabled)
+     * @property {boolean|function} [debug] log the calls (see setDebug)
+     * @property {VeloxServiceStatsOptions} [stats] options of the calls statistics (see getStats)
      */
 
 
@@ -27,20 +41,351 @@
     /**
      * @typedef VeloxServiceMockEntry
      * @type {object}
-     * @property {string} url URL mock
+     * @property {string|RegExp} url URL mock, can contain path parameters (users/:id or users/{id}) and wildcards (files/*)
+     * @property {RegExp} [regex] regular expression to match the URL (instead of url)
+     * @property {string|string[]} [method] HTTP method(s) to match (default : all)
+     * @property {object|function} [query] expected query parameters (GET/DELETE), partial object or predicate function(data, request)
+     * @property {object|function} [body] expected body parameters (POST/PUT), partial object or predicate function(data, request)
+     * @property {number|number[]} [latency] simulated latency in ms or [min, max] range
+     * @property {boolean} [networkError] simulate a network failure
+     * @property {boolean} [dontMock] call the real server for this URL
      * @property {object|VeloxServiceMockEntryResult|function} result the result to return. Can be : 
      *      - plain data 
      *      - a VeloxServiceMockEntryResult object (to give status)
-     *      - a function that receive params and return plain data or VeloxServiceMockEntryResult
+     *      - a function that receive params and the request ({url, method, data, headers, params}) and return plain data or VeloxServiceMockEntryResult
+     * @property {Array} [responses] sequenced results (same format as result), one per call, the last one is repeated
+     */
+
+    /**
+     * @typedef VeloxServiceRecordingOptions
+     * @type {object}
+     * @property {string[]} [scrub] name of the fields to scrub in request and response data (ex: ["password", "token"])
+     * @property {*} [scrubValue] value replacing the scrubbed fields in responses (default : "***")
+     * @property {function} [filter] function that receive the request ({url, method, data}) and return false if it should not be recorded
      */
 
     /**
      * @typedef VeloxServiceMockEntryResult
      * @type {object}
      * @property {number} [httpStatus] HTTP status (200 if not given)
+     * @property {object} [headers] response headers
      * @property {object} resultObj the result plain object
      */
 
+    /**
+     * @typedef VeloxServiceCallOptions
+     * @type {object}
+     * @property {number} [timeout] timeout in ms, the call fails with a VeloxServiceTimeoutError when reached
+     * @property {object} [signal] an AbortSignal (or any object having aborted flag and abort event), the call fails with a VeloxServiceAbortError when aborted
+     * @property {VeloxServiceRetryPolicy|boolean} [retry] retry policy of this call, false to disable (default : from end point definition or options)
+     * @property {boolean|number} [cache] cache the response of this GET call, true to use the default TTL or a TTL in ms (default : no cache)
+     * @property {Array} [invalidates] end point URL prefixes (on the server of this call) or regexp (receiving the cache key server:url?query) 
+     *  of the cached responses to remove when this call succeed
+     * @property {object} [query] query string parameters to add to the URL (for methods other than GET)
+     * @property {object} [headers] headers to add to the request
+     * @property {boolean} [rawResponse] give the response object ({status, headers, response}) instead of the response body
+     * @property {boolean} [batch] true to send this call in a batch request, false to never batch it (default : from batch options)
+     * @property {string} [server] the name of the server profile to call (default : the serverUrl)
+     * @property {string} [correlationId] the correlation id of this call (default : generated if the correlationId option is enabled)
+     * @property {VeloxServiceClientEndPointDefinition} [endPoint] the end point definition (given by end point functions, 
+     *  extensions can read their own end point options from it in request.callOptions.endPoint)
+     * @property {function} [onUploadProgress] called with a VeloxServiceProgress while the data is sent
+     *  (with the fetch transport, called once with the whole size when the response comes)
+     * @property {function} [onDownloadProgress] called with a VeloxServiceProgress while the response is received
+     */
+
+    /**
+     * @typedef VeloxServiceServerProfile
+     * @type {object}
+     * @property {string} url the server base URL
+     * @property {string} [dataEncoding] default data encoding of the calls to this server (default : dataEncoding option)
+     * @property {object} [headers] headers added to each call to this server
+     * @property {boolean} [withCredentials] send the credentials (cookies) to this server (default : true)
+     */
+
+    /**
+     * @typedef VeloxServiceRetryPolicy
+     * @type {object}
+     * @property {number} [maxAttempts] maximum number of attempts, including the first one (default : 3)
+     * @property {number} [baseDelay] delay in ms before the first retry, doubled on each retry (default : 300)
+     * @property {number} [factor] backoff multiplier applied on each retry (default : 2)
+     * @property {number} [maxDelay] maximum delay in ms between two attempts, a Retry-After header longer than this stop the retries (default : 10000)
+     * @property {boolean} [jitter] randomize the delay to avoid many clients retrying at the same time (default : true)
+     * @property {number[]} [retryOnStatus] HTTP status that should be retried (default : 408, 429, 500, 502, 503, 504)
+     * @property {boolean} [retryOnNetworkError] retry on network failure and timeout (default : true)
+     * @property {string[]} [methods] HTTP methods that can be retried (default : GET, PUT, DELETE)
+     */
+
+    /**
+     * @typedef VeloxServiceProgress
+     * @type {object}
+     * @property {string} type upload or download
+     * @property {number} loaded the number of bytes sent or received
+     * @property {number} total the total number of bytes (null if unknown)
+     * @property {boolean} lengthComputable true if the total is known
+     * @property {number} percentage the progress percentage from 0 to 100 (null if the total is unknown)
+     */
+
+    /**
+     * @typedef VeloxServiceCallHandle
+     * @type {object}
+     * @property {function} abort abort the call, the call fails with a VeloxServiceAbortError
+     * @property {function} on function(event, listener) listen to the uploadProgress and downloadProgress events 
+     *  (the listener receive a VeloxServiceProgress)
+     * @property {function} off function(event, listener) remove a listener
+     * @property {function} addEventListener function("progress", listener) listen to upload progress (deprecated, use on("uploadProgress"))
+     */
+
+    /**
+     * @typedef VeloxServiceErrorDetails
+     * @type {object}
+     * @property {number} [status] the HTTP status
+     * @property {string} [url] the called URL
+     * @property {string} [method] the HTTP method
+     * @property {*} [body] the response body
+     * @property {*} [cause] the original error
+     */
+
+    /**
+     * Create an error class
+     * 
+     * The error constructor receive the message and an object of details (VeloxServiceErrorDetails and the error specific details)
+     * that are copied in the error
+     * 
+     * @param {string} name the error name
+     * @param {function} Parent the parent error class
+     * @return {function} the error constructor
+     */
+    function createErrorClass(name, Parent){
+        var ErrorClass = function(message, details){
+            this.name = name ;
+            this.message = message ;
+            if(Error.captureStackTrace){
+                Error.captureStackTrace(this, ErrorClass) ;
+            }else{
+                this.stack = new Error(message).stack ;
+            }
+            this.status = null ;
+            this.url = null ;
+            this.method = null ;
+            this.body = null ;
+            this.cause = null ;
+            Object.keys(details||{}).forEach(function(k){
+                this[k] = details[k] ;
+            }.bind(this)) ;
+        } ;
+        ErrorClass.prototype = Object.create(Parent.prototype) ;
+        ErrorClass.prototype.constructor = ErrorClass ;
+        return ErrorClass ;
+    }
+
+    /**
+     * Base class of the errors given by the client
+     * 
+     * @param {string} message the error message
+     * @param {VeloxServiceErrorDetails} [details] the error details
+     */
+    var VeloxServiceError = createErrorClass("VeloxServiceError", Error) ;
+
+    /**
+     * Error given when the server can't be reached
+     * 
+     * @param {string} message the error message
+     * @param {VeloxServiceErrorDetails} [details] the error details
+     */
+    var VeloxServiceNetworkError = createErrorClass("VeloxServiceNetworkError", VeloxServiceError) ;
+
+    /**
+     * Error given when a call reached its timeout (details have the timeout in ms)
+     * 
+     * @param {string} message the error message
+     * @param {VeloxServiceErrorDetails} [details] the error details
+     */
+    var VeloxServiceTimeoutError = createErrorClass("VeloxServiceTimeoutError", VeloxServiceNetworkError) ;
+
+    /**
+     * Error given when a call is aborted
+     * 
+     * @param {string} message the error message
+     * @param {VeloxServiceErrorDetails} [details] the error details
+     */
+    var VeloxServiceAbortError = createErrorClass("VeloxServiceAbortError", VeloxServiceError) ;
+
+    /**
+     * Error given when the server answers with an error HTTP status (details have the status, the body and the headers)
+     * 
+     * @param {string} message the error message
+     * @param {VeloxServiceErrorDetails} [details] the error details
+     */
+    var VeloxServiceHttpError = createErrorClass("VeloxServiceHttpError", VeloxServiceError) ;
+
+    /**
+     * Error given when the arguments or the response of an end point call don't match their schema 
+     * (details have the errors list : {field, message, value})
+     * 
+     * @param {string} message the error message
+     * @param {VeloxServiceErrorDetails} [details] the error details
+     */
+    var VeloxServiceValidationError = createErrorClass("VeloxServiceValidationError", VeloxServiceError) ;
+
+    /**
+     * Error given in test mode when no mock is defined for a call
+     * 
+     * @param {string} message the error message
+     * @param {VeloxServiceErrorDetails} [details] the error details
+     */
+    var VeloxServiceMockMissingError = createErrorClass("VeloxServiceMockMissingError", VeloxServiceError) ;
+
+    /**
+     * Create the error details of a request
+     * 
+     * @param {object} request the request ({url, method})
+     * @param {object} [details] other details
+     * @return {VeloxServiceErrorDetails} the error details
+     */
+    function requestErrorDetails(request, details){
+        var errorDetails = { url: request.url, method: request.method } ;
+        Object.keys(details||{}).forEach(function(k){
+            errorDetails[k] = details[k] ;
+        }) ;
+        return errorDetails ;
+    }
+
+    /**
+     * Convert any error to a VeloxServiceError
+     * 
+     * @param {*} err the error (string, Error...)
+     * @param {object} request the request ({url, method})
+     * @return {VeloxServiceError} the error
+     */
+    function toServiceError(err, request){
+        if(err instanceof VeloxServiceError){
+            return err ;
+        }
+        var message = err && err.message ? err.message : String(err) ;
+        return new VeloxServiceError(message, requestErrorDetails(request, { cause: err })) ;
+    }
+
+    /**
+     * Create an event emitter
+     * 
+     * @return {object} the emitter ({on, off, emit, hasListeners})
+     */
+    function createEventEmitter(){
+        var listeners = {} ;
+        return {
+            on: function(event, listener){
+                if(!listeners[event]){
+                    listeners[event] = [] ;
+                }
+                listeners[event].push(listener) ;
+            },
+            off: function(event, listener){
+                listeners[event] = (listeners[event]||[]).filter(function(l){
+                    return l !== listener ;
+                }) ;
+            },
+            emit: function(event){
+                var args = Array.prototype.slice.call(arguments, 1) ;
+                (listeners[event]||[]).slice().forEach(function(listener){
+                    listener.apply(null, args) ;
+                }) ;
+            },
+            hasListeners: function(event){
+                return !!(listeners[event] && listeners[event].length > 0) ;
+            }
+        } ;
+    }
+
+    /**
+     * Create a progress event
+     * 
+     * @param {string} type upload or download
+     * @param {number} loaded the number of bytes sent or received
+     * @param {number} [total] the total number of bytes
+     * @return {VeloxServiceProgress} the progress
+     */
+    function createProgress(type, loaded, total){
+        var lengthComputable = typeof(total) === "number" && total > 0 ;
+        return {
+            type: type,
+            loaded: loaded,
+            total: lengthComputable ? total : null,
+            lengthComputable: lengthComputable,
+            percentage: lengthComputable ? Math.min(100, Math.round(loaded * 100 / total)) : null
+        } ;
+    }
+
+    /**
+     * Create the event emitter of a call, the progress listeners given in call options are registered on it
+     * 
+     * @param {VeloxServiceCallOptions} callOptions the call options
+     * @return {object} the emitter
+     */
+    function createCallEmitter(callOptions){
+        var emitter = createEventEmitter() ;
+        if(callOptions.onUploadProgress){
+            emitter.on("uploadProgress", callOptions.onUploadProgress) ;
+        }
+        if(callOptions.onDownloadProgress){
+            emitter.on("downloadProgress", callOptions.onDownloadProgress) ;
+        }
+        return emitter ;
+    }
+
+    /**
+     * Create the handle of a call
+     * 
+     * @param {function} abort the abort function
+     * @param {object} emitter the call event emitter
+     * @param {function} [onListen] called with the event name when a listener is added
+     * @return {VeloxServiceCallHandle} the call handle
+     */
+    function createCallHandle(abort, emitter, onListen){
+        return {
+            abort: abort,
+            on: function(event, listener){
+                emitter.on(event, listener) ;
+                if(onListen){
+                    onListen(event) ;
+                }
+                return this ;
+            },
+            off: function(event, listener){
+                emitter.off(event, listener) ;
+                return this ;
+            },
+            addEventListener: function(type, listener){
+                if(type !== "progress"){
+                    return console.warn("only progress event can be listened, use on(\"uploadProgress\") and on(\"downloadProgress\")") ;
+                }
+                this.on("uploadProgress", listener) ;
+            }
+        } ;
+    }
+
+    /**
+     * Get the size in bytes of a body or a value
+     * 
+     * @param {*} value the body (string, Blob, Buffer, ArrayBuffer)
+     * @return {number} the size or null if it can't be computed
+     */
+    function getBodySize(value){
+        if(typeof(value) === "string"){
+            return typeof(Blob) !== "undefined" ? new Blob([value]).size : value.length ;
+        }
+        if(value && typeof(value.size) === "number"){
+            return value.size ;
+        }
+        if(value && typeof(value.byteLength) === "number"){
+            return value.byteLength ;
+        }
+        if(value && typeof(value.length) === "number"){
+            return value.length ;
+        }
+        return null ;
+    }
+
     /**
      * The Velox database client
      * 
@@ -50,65 +395,452 @@
      */
     function VeloxServiceClient(options) {
         if(!options || typeof(options) !== "object"){
-            throw "VeloxDatabaseClient missing options" ;
+            throw new VeloxServiceError("VeloxServiceClient missing options") ;
         }
         this.testMocks = options.testMocks ;
         this.options = options  ;
         if(!this.options.serverUrl){
-            throw "VeloxDatabaseClient missing option serverUrl" ;
-        }
-
-        if(this.options.serverUrl[this.options.serverUrl.length-1] !== "/"){
-            //add trailing slash
-            this.options.serverUrl = this.options.serverUrl+"/" ;
+            throw new VeloxServiceError("VeloxServiceClient missing option serverUrl") ;
         }
 
         if(!this.options.dataEncoding){
             this.options.dataEncoding = "form" ;
         }
+
+        this._servers = {} ;
+        this.addServer("default", { url: this.options.serverUrl }) ;
+        Object.keys(this.options.servers || {}).forEach(function(name){
+            this.addServer(name, this.options.servers[name]) ;
+        }.bind(this)) ;
         this.ajaxInterceptors = [];
+        this.requestInterceptors = [];
+        this._transport = this._createTransport(this.options.transport) ;
+        this._mockTransport = VeloxServiceClient.transports.mock(this) ;
+        this._recorder = null ;
+        this._cache = new VeloxServiceCache(this.options.cache || {}) ;
+        this._batcher = new VeloxServiceBatcher(this, typeof(this.options.batch) === "object" ? this.options.batch : {auto: !!this.options.batch}) ;
+        this._batchGroup = null ;
+        this._endPointMembers = [] ;
+        this._events = createEventEmitter() ;
+        this._stats = new VeloxServiceStats(this.options.stats || {}) ;
+        this._correlation = getCorrelationOptions(this.options.correlationId) ;
+        this._callId = 0 ;
+        this._debugListener = null ;
+        if(this.options.debug){
+            this.setDebug(this.options.debug) ;
+        }
+        if(this.options.record){
+            this.startRecording(typeof(this.options.record) === "object" ? this.options.record : {}) ;
+        }
 
-        var self = this ;
+        this._extensions = [] ;
+        this._initializedExtensions = [] ;
+        this._initialized = false ;
+        this._keyOwners = {} ;
+        Object.keys(protoKeyOwners).forEach(function(key){
+            //the keys defined on prototype by registered extensions
+            this._keyOwners[key] = protoKeyOwners[key] ;
+        }.bind(this)) ;
         VeloxServiceClient.extensions.forEach(function(extension){
-            if(extension.extendsObj){
-                Object.keys(extension.extendsObj).forEach(function (key) {
-                        self[key] = extension.extendsObj[key];
-                });
-            }
-        }) ;
+            defineExtensionKeys(this, getInstanceKeys(extension, false), this._keyOwners, extension) ;
+        }.bind(this)) ;
     }
 
     /**
      * Init the client
      * 
-     * @param {function} callback called on init done
+     * When the client is already initialized, the extensions of the previous init are destroyed before
+     * being initialized again so their interceptors are not added twice
+     * 
+     * @param {function} [callback] called on init done, if not given a Promise is returned
      */
     VeloxServiceClient.prototype.init = function (callback) {
-        initExtension.bind(this)(VeloxServiceClient.extensions.slice(), callback) ;
+        return callbackOrPromise(callback, function(cb){
+            var extensions ;
+            try{
+                extensions = sortExtensions(this._getExtensions()) ;
+            }catch(err){
+                return cb(err) ;
+            }
+            var previousExtensions = this._initializedExtensions.slice().reverse() ;
+            this._initializedExtensions = [] ;
+            destroyExtension.bind(this)(previousExtensions, null, function(err){
+                if(err){ return cb(err) ; }
+                this._initialized = true ;
+                initExtension.bind(this)(extensions, cb) ;
+            }.bind(this)) ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Use an extension in this client only (registerExtension adds the extension to all clients)
+     * 
+     * Must be called before init
+     * 
+     * @example
+     * var api = new VeloxServiceClient({serverUrl: "...", realtime: {...}}) ;
+     * api.use(VeloxServiceClientRealtime) ;
+     * api.init(function(){ ... }) ;
+     * 
+     * @param {object} extension the extension (see registerExtension)
+     * @return {VeloxServiceClient} this client
+     */
+    VeloxServiceClient.prototype.use = function (extension) {
+        if(this._initialized){
+            throw new VeloxServiceError("Extension "+extension.name+" must be used before client init") ;
+        }
+        if(!checkNewExtension(this._getExtensions(), extension)){
+            return this ;
+        }
+        var keys = getInstanceKeys(extension, true) ;
+        //check all keys before defining any
+        checkExtensionKeys(this, keys, this._keyOwners, extension) ;
+        checkExtensionKeys(VeloxServiceClient, extension.extendsGlobal || {}, globalKeyOwners, extension) ;
+        defineExtensionKeys(this, keys, this._keyOwners, extension) ;
+        defineExtensionKeys(VeloxServiceClient, extension.extendsGlobal || {}, globalKeyOwners, extension) ;
+        this._extensions.push(extension) ;
+        return this ;
+    } ;
+
+    /**
+     * Get the extensions of this client (the registered ones then the used ones)
+     * 
+     * @return {object[]} the extensions
+     */
+    VeloxServiceClient.prototype._getExtensions = function () {
+        return VeloxServiceClient.extensions.concat(this._extensions) ;
+    } ;
+
+    /**
+     * Destroy the client
+     * 
+     * The destroy hooks of the extensions are called in reverse init order, the pending batched calls are sent 
+     * and the debug log is stopped
+     * 
+     * @param {function} [callback] called when done, if not given a Promise is returned
+     * @return {Promise} a Promise if no callback is given
+     */
+    VeloxServiceClient.prototype.destroy = function (callback) {
+        return callbackOrPromise(callback, function(cb){
+            var extensions = this._initializedExtensions.slice().reverse() ;
+            this._initializedExtensions = [] ;
+            destroyExtension.bind(this)(extensions, null, function(err){
+                this._batcher.flushQueue() ;
+                this.setDebug(false) ;
+                this._initialized = false ;
+                cb(err) ;
+            }.bind(this)) ;
+        }.bind(this)) ;
+    } ;
+
+
+    /**
+     * Add (or replace) a server profile
+     * 
+     * @example
+     * api.addServer("files", { url: "https://files.example.com/", dataEncoding: "multipart", withCredentials: false }) ;
+     * api.addEndPoints([ {endpoint: "documents", method: "POST", server: "files"} ]) ;
+     * 
+     * @param {string} name the profile name (default is the profile of the serverUrl option)
+     * @param {VeloxServiceServerProfile} profile the server profile
+     */
+    VeloxServiceClient.prototype.addServer = function (name, profile) {
+        if(!profile || !profile.url){
+            throw new VeloxServiceError("Server profile "+name+" miss url option") ;
+        }
+        var server = {} ;
+        var existing = this._servers[name] || {} ;
+        [existing, profile].forEach(function(source){
+            Object.keys(source).forEach(function(k){
+                server[k] = source[k] ;
+            }) ;
+        }) ;
+        if(server.url[server.url.length-1] !== "/"){
+            //add trailing slash
+            server.url = server.url+"/" ;
+        }
+        if(!server.dataEncoding){
+            server.dataEncoding = this.options.dataEncoding ;
+        }
+        this._servers[name] = server ;
+        if(name === "default"){
+            this.options.serverUrl = server.url ;
+        }
+    } ;
+
+    /**
+     * Get a server profile
+     * 
+     * @param {string} [name] the profile name (default : the profile of the serverUrl option)
+     * @return {VeloxServiceServerProfile} the server profile
+     */
+    VeloxServiceClient.prototype.getServer = function (name) {
+        var server = this._servers[name || "default"] ;
+        if(!server){
+            throw new VeloxServiceError("Unknown server profile "+name) ;
+        }
+        return server ;
+    } ;
+
+    /**
+     * Change the base URL of a server at runtime (ex: switch environment or failover)
+     * 
+     * The end points are kept, the next calls (and the next attempts of the running calls) use the new URL
+     * 
+     * @param {string} url the new base URL
+     * @param {string} [name] the profile name (default : the profile of the serverUrl option)
+     */
+    VeloxServiceClient.prototype.setServerUrl = function (url, name) {
+        this.addServer(name || "default", { url: url }) ;
+    } ;
+
+    /**
+     * Create the full URL of an end point
+     * 
+     * @param {string} url the end point url
+     * @param {string} [server] the server profile name (default : the profile of the serverUrl option)
+     * @return {string} the full URL
+     */
+    VeloxServiceClient.prototype.createUrl = function (url, server) {
+        return this.getServer(server).url+url ;
     } ;
 
+    /**
+     * Run an asynchronous function with the given callback or, if no callback is given,
+     * return a Promise resolved with the callback result
+     * 
+     * @param {function} [callback] the user callback
+     * @param {function} fn function that receive the callback to call
+     * @return {*} the return value of fn if a callback is given, a Promise otherwise
+     */
+    function callbackOrPromise(callback, fn){
+        if(typeof(callback) === "function"){
+            return fn(callback) ;
+        }
+        if(typeof(Promise) === "undefined"){
+            throw new VeloxServiceError("You must give a callback, Promise are not supported on your browser") ;
+        }
+        var handle = null ;
+        var promise = new Promise(function(resolve, reject){
+            handle = fn(function(err, result){
+                if(err){ return reject(err) ; }
+                resolve(result) ;
+            }) ;
+        }) ;
+        if(handle && typeof(handle) === "object"){
+            //expose the call handle functions (abort...) on the promise
+            Object.keys(handle).forEach(function(k){
+                promise[k] = handle[k] ;
+            }) ;
+        }
+        return promise ;
+    }
 
-    VeloxServiceClient.prototype.createUrl = function (url) {
-        return this.options.serverUrl+url ;
+    var DEFAULT_RETRY_POLICY = {
+        maxAttempts: 3,
+        baseDelay: 300,
+        factor: 2,
+        maxDelay: 10000,
+        jitter: true,
+        retryOnStatus: [408, 429, 500, 502, 503, 504],
+        retryOnNetworkError: true,
+        methods: ["GET", "PUT", "DELETE"]
     } ;
 
+    /**
+     * Get the retry policy to apply, the first defined retry option is used
+     * 
+     * @param {Array} retryOptions the retry options by priority (call, end point, global)
+     * @return {VeloxServiceRetryPolicy} the retry policy or null if no retry should be done
+     */
+    function getRetryPolicy(retryOptions){
+        var retryOption = null ;
+        retryOptions.some(function(opt){
+            if(opt !== undefined && opt !== null){
+                retryOption = opt ;
+                return true ;
+            }
+        }) ;
+        if(!retryOption){
+            return null ;
+        }
+        var policy = {} ;
+        Object.keys(DEFAULT_RETRY_POLICY).forEach(function(k){
+            policy[k] = DEFAULT_RETRY_POLICY[k] ;
+        }) ;
+        if(typeof(retryOption) === "object"){
+            Object.keys(retryOption).forEach(function(k){
+                policy[k] = retryOption[k] ;
+            }) ;
+        }
+        policy.methods = policy.methods.map(function(m){
+            //the request method is upper case
+            return m.toUpperCase() ;
+        }) ;
+        return policy ;
+    }
+
+    /**
+     * Read the Retry-After header of a response
+     * 
+     * @param {object} response the response
+     * @return {number} the delay in ms or null if no header
+     */
+    function getRetryAfter(response){
+        var retryAfter = response.headers && response.headers["retry-after"] ;
+        if(!retryAfter){
+            return null ;
+        }
+        if(/^\d+$/.test(retryAfter)){
+            return parseInt(retryAfter, 10) * 1000 ;
+        }
+        var date = new Date(retryAfter) ;
+        if(isNaN(date.getTime())){
+            return null ;
+        }
+        return Math.max(0, date.getTime() - new Date().getTime()) ;
+    }
+
+    /**
+     * Compute the delay before the next attempt
+     * 
+     * @param {VeloxServiceRetryPolicy} policy the retry policy
+     * @param {object} request the request
+     * @param {*} err the error of the last attempt
+     * @param {object} response the response of the last attempt
+     * @return {number} the delay in ms or null if the call should not be retried
+     */
+    function getRetryDelay(policy, request, err, response){
+        if(!policy || request.attempt >= policy.maxAttempts || policy.methods.indexOf(request.method) === -1){
+            return null ;
+        }
+        if(err && !(err instanceof VeloxServiceNetworkError)){
+            //only network failures and timeouts can be retried
+            return null ;
+        }
+        if(err || !response || response.status === 0){
+            if(!policy.retryOnNetworkError){
+                return null ;
+            }
+        }else if(policy.retryOnStatus.indexOf(response.status) === -1){
+            return null ;
+        }else{
+            var retryAfter = getRetryAfter(response) ;
+            if(retryAfter !== null){
+                return retryAfter > policy.maxDelay ? null : retryAfter ;
+            }
+        }
+        var delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, request.attempt-1)) ;
+        if(policy.jitter){
+            delay = delay/2 + Math.random() * delay/2 ;
+        }
+        return Math.round(delay) ;
+    }
+
+    /**
+     * Read the optional arguments given after the data in ajax calls
+     * 
+     * The arguments can be (all optionals) : dataEncoding, responseEncoding, callOptions, callback
+     * 
+     * @param {Array} args the arguments
+     * @return {object} the parsed arguments
+     */
+    function parseCallArgs(args){
+        var parsed = { encodings: [], callOptions: null, callback: null } ;
+        args.forEach(function(arg){
+            if(typeof(arg) === "function"){
+                parsed.callback = arg ;
+            }else if(arg && typeof(arg) === "object"){
+                parsed.callOptions = arg ;
+            }else{
+                parsed.encodings.push(arg) ;
+            }
+        }) ;
+        parsed.dataEncoding = parsed.encodings[0] ;
+        parsed.responseEncoding = parsed.encodings[1] ;
+        return parsed ;
+    }
+
     function initExtension(extensionsToInit, callback){
         if(extensionsToInit.length === 0){
             return callback() ;
         }
         var extension = extensionsToInit.shift() ;
+        if(!extension.init){
+            this._initializedExtensions.push(extension) ;
+            return initExtension.bind(this)(extensionsToInit, callback) ;
+        }
         extension.init(this, function(err){
             if(err){ return callback(err); }
+            this._initializedExtensions.push(extension) ;
             initExtension.bind(this)(extensionsToInit, callback) ;
         }.bind(this)) ;
     }
 
+    function destroyExtension(extensionsToDestroy, firstErr, callback){
+        if(extensionsToDestroy.length === 0){
+            return callback(firstErr) ;
+        }
+        var extension = extensionsToDestroy.shift() ;
+        if(!extension.destroy){
+            return destroyExtension.bind(this)(extensionsToDestroy, firstErr, callback) ;
+        }
+        extension.destroy(this, function(err){
+            //an extension failing to destroy does not prevent the other ones to be destroyed
+            destroyExtension.bind(this)(extensionsToDestroy, firstErr || err || null, callback) ;
+        }.bind(this)) ;
+    }
+
+    /**
+     * Sort the extensions to init the dependencies first
+     * 
+     * @param {object[]} extensions the extensions
+     * @return {object[]} the sorted extensions
+     */
+    function sortExtensions(extensions){
+        var byName = {} ;
+        extensions.forEach(function(extension){
+            byName[extension.name] = extension ;
+        }) ;
+        var sorted = [] ;
+        var visiting = {} ;
+        var visit = function(extension, path){
+            if(sorted.indexOf(extension) !== -1){
+                return ;
+            }
+            path = path.concat([extension.name]) ;
+            if(visiting[extension.name]){
+                throw new VeloxServiceError("Circular extensions dependencies : "+path.join(" -> ")) ;
+            }
+            visiting[extension.name] = true ;
+            (extension.dependencies || []).forEach(function(dependency){
+                if(!byName[dependency]){
+                    throw new VeloxServiceError("Extension "+extension.name+" depends on extension "+dependency+" that is not registered") ;
+                }
+                visit(byName[dependency], path) ;
+            }) ;
+            sorted.push(extension) ;
+        } ;
+        extensions.forEach(function(extension){
+            visit(extension, []) ;
+        }) ;
+        return sorted ;
+    }
+
     /**
      * Add an ajax interceptor, it will be called on ajax return
      * 
+     * The interceptor can give a modified response to next :
+     *  - next() : keep the response (and the error)
+     *  - next(response) : replace the response, if the call failed with an error the call still fails with this error
+     *  - next(response, true) : recover from the error, the call succeed (or fail with the response HTTP status) with this response
+     * 
+     * err is a VeloxServiceError (VeloxServiceNetworkError, VeloxServiceTimeoutError, VeloxServiceAbortError...), 
+     * an HTTP error status is not an error at this step, check the response status
+     * 
      * @example
-     * api.addAjaxInterceptor(function(response, next){
-     *          if(response.status === 401){
+     * api.addAjaxInterceptor(function(err, request, response, next){
+     *          if(response && response.status === 401){
      *              //receive a 401, user should login
      *              ... redirect to login ...
      *              return;
@@ -116,335 +848,3534 @@
      *          next() ;//OK
      *      }) ;
      * 
-     * @param {function} interceptor the interceptor, receive ({status : ..., responseText: ..., responseJson: ...}, next)
+     * @example
+     * api.addAjaxInterceptor(function(err, request, response, next){
+     *          if(err instanceof VeloxServiceClient.VeloxServiceNetworkError && request.method === "GET"){
+     *              //answer with a fallback value when offline
+     *              return next({status: 200, response: getLocalCopy(request.url)}, true) ;
+     *          }
+     *          next() ;
+     *      }) ;
+     * 
+     * @param {function} interceptor the interceptor, receive (err, request, {status : ..., responseText: ..., response: ..., headers: ...}, next)
      */
     VeloxServiceClient.prototype.addAjaxInterceptor = function(interceptor){
         this.ajaxInterceptors.push(interceptor) ;
     } ;
 
-    function runAjaxInterceptors(interceptors, err, request, response, callback){
-        if(interceptors.length === 0){ return callback(response) ;}
-        var interceptor = interceptors.shift() ;
-
-        interceptor(err, request, response, function next(modifiedResponse){
+    /**
+     * Remove an ajax interceptor added with addAjaxInterceptor
+     * 
+     * @param {function} interceptor the interceptor to remove
+     */
+    VeloxServiceClient.prototype.removeAjaxInterceptor = function(interceptor){
+        this.ajaxInterceptors = this.ajaxInterceptors.filter(function(i){
+            return i !== interceptor ;
+        }) ;
+    } ;
+
+    function runAjaxInterceptors(interceptors, err, request, response, callback){
+        if(interceptors.length === 0){ return callback(response, err) ;}
+        var interceptor = interceptors.shift() ;
+
+        interceptor(err, request, response, function next(modifiedResponse, recover){
+            if(modifiedResponse && recover){
+                //the interceptor gives a response replacing the error
+                err = null ;
+            }
             runAjaxInterceptors(interceptors, err, request, modifiedResponse||response, callback) ;
         }) ;
-    }
+    }
+
+    /**
+     * Add a request interceptor, it will be called before each request is sent
+     * 
+     * The interceptor receive the request object ({url: ..., method: ..., data: ..., dataEncoding: ..., responseEncoding: ..., headers: ...}) that it can modify
+     * and a next function to call when it is done :
+     *  - next() : continue to the next interceptor then send the request
+     *  - next(err) : stop the call with this error
+     *  - next(null, response) : don't send the request and use this response ({status: ..., response: ...}) instead
+     * 
+     * @example
+     * api.addRequestInterceptor(function(request, next){
+     *          getAuthToken(function(err, token){
+     *              if(err){ return next(err) ; }
+     *              request.headers.Authorization = "Bearer "+token ;
+     *              next() ;
+     *          }) ;
+     *      }) ;
+     * 
+     * @param {function} interceptor the interceptor, receive (request, next)
+     */
+    VeloxServiceClient.prototype.addRequestInterceptor = function(interceptor){
+        this.requestInterceptors.push(interceptor) ;
+    } ;
+
+    /**
+     * Remove a request interceptor added with addRequestInterceptor
+     * 
+     * @param {function} interceptor the interceptor to remove
+     */
+    VeloxServiceClient.prototype.removeRequestInterceptor = function(interceptor){
+        this.requestInterceptors = this.requestInterceptors.filter(function(i){
+            return i !== interceptor ;
+        }) ;
+    } ;
+
+    function runRequestInterceptors(interceptors, request, callback){
+        if(interceptors.length === 0){ return callback() ;}
+        var interceptor = interceptors.shift() ;
+
+        interceptor(request, function next(err, response){
+            if(err || response){
+                return callback(err, response) ;
+            }
+            runRequestInterceptors(interceptors, request, callback) ;
+        }) ;
+    }
+
+    /**
+     * Run the request interceptors on a request that is not sent by ajax (used by extensions, ex: realtime connection)
+     * 
+     * @param {object} request the request ({url, method, data, headers...})
+     * @param {function} callback called with (err, response) as given by the interceptors
+     */
+    VeloxServiceClient.prototype._runRequestInterceptors = function(request, callback){
+        runRequestInterceptors(this.requestInterceptors.slice(), request, callback) ;
+    } ;
+
+    /**
+     * @typedef VeloxServiceTransportRequest
+     * @type {object}
+     * @property {string} url the end point url (relative to the server URL, without query string)
+     * @property {string} server the server profile name
+     * @property {string} fullUrl the full URL to call (including query string)
+     * @property {string} method the HTTP method
+     * @property {object} data the parameters to send
+     * @property {string} dataEncoding data encoding : form, json, multipart or raw (data is a Blob, Buffer or ArrayBuffer sent as is)
+     * @property {string} responseEncoding response encoding : text, blob or arraybuffer
+     * @property {object} headers the request headers
+     * @property {boolean} withCredentials send the credentials (cookies) with the request
+     * @property {function} [onProgress] function(type, loaded, total) to call on upload and download progress
+     * @property {boolean} [uploadProgress] true if upload progress is listened when sending 
+     *  (some transports need to know it before sending, the listen can also start later by calling listenUploadProgress on the transport handle)
+     */
+
+    /**
+     * @typedef VeloxServiceTransport
+     * @type {object}
+     * @property {function} send function(request, callback) that send the VeloxServiceTransportRequest,
+     *  call callback(err, {status: ..., responseText: ..., response: ..., headers: ..., url: ...}) 
+     *  and return a handle ({abort, [listenUploadProgress]})
+     */
+
+    var nodeRequire = typeof(require) === "function" ? require : null ;
+
+    /**
+     * Create the URL encoded string of the data
+     * 
+     * @param {object} data the data to encode
+     * @param {boolean} jsonObjects encode the object values as JSON (as done in query string)
+     * @return {string} the encoded data
+     */
+    function encodeUrlData(data, jsonObjects){
+        return Object.keys(data||{}).map(function(k){
+            var val = data[k] ;
+            if(jsonObjects && typeof(val) === "object"){
+                val = JSON.stringify(val) ;
+            }
+            return k+"="+encodeURIComponent(val) ;
+        }).join("&") ;
+    }
+
+    function hasRequestBody(method){
+        return method === "POST" || method === "PUT" || method === "PATCH" ;
+    }
+
+    /**
+     * Create the request body (for the browser transports)
+     * 
+     * @param {VeloxServiceTransportRequest} request the request
+     * @return {object} the body and its content type or null if the request has no body
+     */
+    function createRequestBody(request){
+        if(!hasRequestBody(request.method)){
+            return null ;
+        }
+        var data = request.data || {} ;
+        if(request.dataEncoding === "raw"){
+            return { contentType: null, body: request.data } ;
+        }else if(request.dataEncoding === "json"){
+            return { contentType: "application/json", body: JSON.stringify(data) } ;
+        }else if(request.dataEncoding === "multipart"){
+            var formData = new FormData();
+            Object.keys(data).forEach(function (key) {
+                formData.append(key, data[key]);
+            }) ;
+            return { contentType: null, body: formData } ;
+        }
+        var urlEncodedDataPairs = [];
+        Object.keys(data).forEach(function(k){
+            urlEncodedDataPairs.push(encodeURIComponent(k) + '=' + encodeURIComponent(data[k]));
+        }) ;
+        return { contentType: "application/x-www-form-urlencoded", body: urlEncodedDataPairs.join('&').replace(/%20/g, '+') } ;
+    }
+
+    function parseResponseText(responseText){
+        var responseResult = responseText ;
+        if(responseResult){
+            try{
+                responseResult = JSON.parse(responseResult) ;
+            }catch(e){}
+        }
+        return responseResult ;
+    }
+
+    function lowerCaseKeys(obj){
+        var lowerCased = {} ;
+        Object.keys(obj||{}).forEach(function(k){
+            lowerCased[k.toLowerCase()] = obj[k] ;
+        }) ;
+        return lowerCased ;
+    }
+
+    function parseResponseHeaders(rawHeaders){
+        var headers = {} ;
+        (rawHeaders||"").split(/\r?\n/).forEach(function(line){
+            var index = line.indexOf(":") ;
+            if(index > 0){
+                headers[line.substring(0, index).trim().toLowerCase()] = line.substring(index+1).trim() ;
+            }
+        }) ;
+        return headers ;
+    }
+
+    /**
+     * Create the XMLHttpRequest transport (browser)
+     * 
+     * @param {VeloxServiceClient} client the client
+     * @return {VeloxServiceTransport} the transport
+     */
+    function createXhrTransport(client){
+        return {
+            send: function(request, callback){
+                var xhr = new XMLHttpRequest();
+                
+                xhr.open(request.method, request.fullUrl);
+                xhr.withCredentials = request.withCredentials ;
+
+                if(request.responseEncoding === "blob"){
+                    xhr.responseType = 'blob';
+                }else if(request.responseEncoding === "arraybuffer"){
+                    xhr.responseType = 'arraybuffer';
+                }
+
+                var callbackCalled = false ;
+                var uploadListened = false ;
+                var listenUploadProgress = function(){
+                    if(uploadListened || !request.onProgress){ return ; }
+                    if(!xhr.upload){
+                        return console.warn("upload progress is not supported on your browser...") ;
+                    }
+                    uploadListened = true ;
+                    xhr.upload.addEventListener("progress", function(ev){
+                        request.onProgress("upload", ev.loaded, ev.lengthComputable ? ev.total : null) ;
+                    }) ;
+                } ;
+                if(request.uploadProgress){
+                    //listen before sending (a later listen may miss the first events)
+                    listenUploadProgress() ;
+                }
+                if(request.onProgress){
+                    xhr.onprogress = function(ev){
+                        request.onProgress("download", ev.loaded, ev.lengthComputable ? ev.total : null) ;
+                    } ;
+                }
+                xhr.onreadystatechange = function () {
+                    if(callbackCalled){ return ; }
+                    if (xhr.readyState === 4 && xhr.status === 0){
+                        //network failure (or abort), no response
+                        callbackCalled = true ;
+                        callback(new VeloxServiceNetworkError("Ajax call to "+request.url+" failed", requestErrorDetails(request))) ;
+                    }else if (xhr.readyState === 4){
+                        var responseResult = null ;
+                        var responseText = null ;
+                        if(request.responseEncoding === "arraybuffer" || request.responseEncoding === "blob"){
+                            responseResult = xhr.response ;
+                        } else {
+                            responseText = xhr.responseText ;
+                            responseResult = parseResponseText(responseText) ;
+                        }
+
+                        var response = {status: xhr.status, responseText: responseText, response: responseResult, 
+                            headers: parseResponseHeaders(xhr.getAllResponseHeaders()), url: request.url} ;
+                        callbackCalled = true ;
+                        callback(null, response) ;
+                    } 
+                };
+
+                xhr.onerror = function (ev) {
+                    if(!callbackCalled){
+                        callbackCalled = true ;
+                        callback(new VeloxServiceNetworkError("Ajax call to "+request.url+" failed", requestErrorDetails(request, {cause: ev}))) ;
+                    }
+                };
+
+                if(client.options.xhrPrepare){
+                    client.options.xhrPrepare(xhr) ;
+                }
+
+                Object.keys(request.headers||{}).forEach(function(h){
+                    xhr.setRequestHeader(h, request.headers[h]) ;
+                }) ;
+
+                try{
+                    var body = createRequestBody(request) ;
+                    if(body){
+                        if(body.contentType){
+                            xhr.setRequestHeader("Content-Type", body.contentType);
+                        }
+                        xhr.send(body.body);
+                    } else {
+                        xhr.send();
+                    }
+                }catch(err){
+                    if(!callbackCalled){
+                        callbackCalled = true ;
+                        callback(new VeloxServiceNetworkError("Ajax call to "+request.url+" failed", requestErrorDetails(request, {cause: err}))) ;
+                    }
+                }
+                return {
+                    abort: function(){
+                        callbackCalled = true ;
+                        xhr.abort() ;
+                    },
+                    listenUploadProgress: listenUploadProgress
+                } ;
+            }
+        } ;
+    }
+
+    /**
+     * Read a fetch response body chunk by chunk to follow the download progress
+     * 
+     * @param {Response} res the fetch response
+     * @param {function} onProgress function(loaded, total) called on each chunk
+     * @return {object} an object having the blob, arrayBuffer and text functions of the response
+     */
+    function readFetchResponseWithProgress(res, onProgress){
+        var total = parseInt(res.headers.get("content-length"), 10) ;
+        var contentType = res.headers.get("content-type") ;
+        var reader = res.body.getReader() ;
+        var chunks = [] ;
+        var loaded = 0 ;
+        var readAll = function(){
+            return reader.read().then(function(result){
+                if(result.done){
+                    return chunks ;
+                }
+                chunks.push(result.value) ;
+                loaded += result.value.byteLength ;
+                onProgress(loaded, isNaN(total) ? null : total) ;
+                return readAll() ;
+            }) ;
+        } ;
+        var readBytes = function(){
+            return readAll().then(function(chunks){
+                var bytes = new Uint8Array(loaded) ;
+                var offset = 0 ;
+                chunks.forEach(function(chunk){
+                    bytes.set(chunk, offset) ;
+                    offset += chunk.byteLength ;
+                }) ;
+                return bytes ;
+            }) ;
+        } ;
+        return {
+            blob: function(){
+                return readAll().then(function(chunks){
+                    return new Blob(chunks, contentType ? { type: contentType } : {}) ;
+                }) ;
+            },
+            arrayBuffer: function(){
+                return readBytes().then(function(bytes){
+                    return bytes.buffer ;
+                }) ;
+            },
+            text: function(){
+                return readBytes().then(function(bytes){
+                    return new TextDecoder("utf-8").decode(bytes) ;
+                }) ;
+            }
+        } ;
+    }
+
+    /**
+     * Create the fetch API transport (browser, service workers, recent Node.js)
+     * 
+     * fetch does not give the upload progress : a single upload progress of the whole body size is emitted when the response comes
+     * 
+     * @return {VeloxServiceTransport} the transport
+     */
+    function createFetchTransport(){
+        return {
+            send: function(request, callback){
+                var controller = typeof(AbortController) !== "undefined" ? new AbortController() : null ;
+                var callbackCalled = false ;
+                var done = function(err, response){
+                    if(callbackCalled){ return ; }
+                    callbackCalled = true ;
+                    callback(err, response) ;
+                } ;
+
+                var headers = {} ;
+                Object.keys(request.headers||{}).forEach(function(h){
+                    headers[h] = request.headers[h] ;
+                }) ;
+                var body = createRequestBody(request) ;
+                if(body && body.contentType){
+                    headers["Content-Type"] = body.contentType ;
+                }
+
+                fetch(request.fullUrl, {
+                    method: request.method,
+                    headers: headers,
+                    body: body ? body.body : undefined,
+                    credentials: request.withCredentials ? "include" : "same-origin",
+                    signal: controller ? controller.signal : undefined
+                }).then(function(res){
+                    var responseHeaders = {} ;
+                    res.headers.forEach(function(value, name){
+                        responseHeaders[name.toLowerCase()] = value ;
+                    }) ;
+                    var status = res.status ;
+                    var uploadSize = body ? getBodySize(body.body) : null ;
+                    if(request.onProgress && uploadSize !== null){
+                        //fetch does not give upload progress, emit a single event of the whole body when the response comes
+                        request.onProgress("upload", uploadSize, uploadSize) ;
+                    }
+                    if(request.onProgress && res.body && res.body.getReader){
+                        res = readFetchResponseWithProgress(res, function(loaded, total){
+                            request.onProgress("download", loaded, total) ;
+                        }) ;
+                    }
+                    var readBody ;
+                    if(request.responseEncoding === "blob"){
+                        readBody = res.blob() ;
+                    }else if(request.responseEncoding === "arraybuffer"){
+                        readBody = res.arrayBuffer() ;
+                    }else{
+                        readBody = res.text() ;
+                    }
+                    return readBody.then(function(responseBody){
+                        var isText = request.responseEncoding !== "blob" && request.responseEncoding !== "arraybuffer" ;
+                        done(null, {status: status, responseText: isText ? responseBody : null, 
+                            response: isText ? parseResponseText(responseBody) : responseBody, 
+                            headers: responseHeaders, url: request.url}) ;
+                    }) ;
+                }).catch(function(err){
+                    done(new VeloxServiceNetworkError("Ajax call to "+request.url+" failed", requestErrorDetails(request, {cause: err}))) ;
+                }) ;
+
+                return {
+                    abort: function(){
+                        callbackCalled = true ;
+                        if(controller){
+                            controller.abort() ;
+                        }
+                    }
+                } ;
+            }
+        } ;
+    }
+
+    /**
+     * Create a multipart body (Node.js)
+     * 
+     * @param {object} data the data to encode
+     * @return {object} the body and its content type
+     */
+    function createNodeMultipartBody(data){
+        var boundary = "----VeloxServiceClient"+new Date().getTime().toString(16)+Math.random().toString(16).substring(2) ;
+        var parts = [] ;
+        Object.keys(data).forEach(function(k){
+            var val = data[k] ;
+            var header = "--"+boundary+"\r\nContent-Disposition: form-data; name=\""+k+"\"" ;
+            if(Buffer.isBuffer(val)){
+                header += "; filename=\""+k+"\"\r\nContent-Type: application/octet-stream" ;
+            }else if(val && typeof(val) === "object"){
+                val = JSON.stringify(val) ;
+            }
+            parts.push(Buffer.from(header+"\r\n\r\n")) ;
+            parts.push(Buffer.isBuffer(val) ? val : Buffer.from(String(val))) ;
+            parts.push(Buffer.from("\r\n")) ;
+        }) ;
+        parts.push(Buffer.from("--"+boundary+"--\r\n")) ;
+        return { contentType: "multipart/form-data; boundary="+boundary, body: Buffer.concat(parts) } ;
+    }
+
+    var NODE_UPLOAD_CHUNK_SIZE = 64 * 1024 ;
+
+    /**
+     * Read the Blob data of a request then send it as a Buffer with the Node.js transport
+     * 
+     * @param {VeloxServiceTransport} transport the Node.js transport
+     * @param {VeloxServiceTransportRequest} request the request having a Blob as data
+     * @param {function} callback called with the response
+     * @return {object} the handle
+     */
+    function sendNodeBlobRequest(transport, request, callback){
+        var aborted = false ;
+        var sendHandle = null ;
+        request.data.arrayBuffer().then(function(arrayBuffer){
+            if(aborted){ return ; }
+            var bufferRequest = {} ;
+            Object.keys(request).forEach(function(k){
+                bufferRequest[k] = request[k] ;
+            }) ;
+            bufferRequest.data = Buffer.from(arrayBuffer) ;
+            sendHandle = transport.send(bufferRequest, callback) ;
+        }).catch(function(err){
+            if(aborted){ return ; }
+            callback(new VeloxServiceNetworkError("Ajax call to "+request.url+" failed", requestErrorDetails(request, {cause: err}))) ;
+        }) ;
+        return {
+            abort: function(){
+                aborted = true ;
+                if(sendHandle){
+                    sendHandle.abort() ;
+                }
+            }
+        } ;
+    }
+
+    /**
+     * Create the Node.js http/https transport
+     * 
+     * @return {VeloxServiceTransport} the transport
+     */
+    function createNodeTransport(){
+        if(!nodeRequire){
+            throw new VeloxServiceError("The node transport can only be used in Node.js") ;
+        }
+        var http = nodeRequire("http") ;
+        var https = nodeRequire("https") ;
+        return {
+            send: function(request, callback){
+                if(request.dataEncoding === "raw" && typeof(Blob) !== "undefined" && request.data instanceof Blob){
+                    return sendNodeBlobRequest(this, request, callback) ;
+                }
+                var callbackCalled = false ;
+                var done = function(err, response){
+                    if(callbackCalled){ return ; }
+                    callbackCalled = true ;
+                    callback(err, response) ;
+                } ;
+
+                var headers = {} ;
+                Object.keys(request.headers||{}).forEach(function(h){
+                    headers[h] = request.headers[h] ;
+                }) ;
+                var body = null ;
+                if(hasRequestBody(request.method)){
+                    body = request.dataEncoding === "multipart" ? createNodeMultipartBody(request.data||{}) : createRequestBody(request) ;
+                    if(!body.body){
+                        body.body = Buffer.alloc(0) ;
+                    }
+                    if(body.contentType){
+                        headers["Content-Type"] = body.contentType ;
+                    }
+                    headers["Content-Length"] = Buffer.byteLength(body.body) ;
+                }
+
+                var lib = /^https:/i.test(request.fullUrl) ? https : http ;
+                var req = lib.request(request.fullUrl, { method: request.method, headers: headers }, function(res){
+                    var chunks = [] ;
+                    var loaded = 0 ;
+                    var total = parseInt(res.headers["content-length"], 10) ;
+                    res.on("data", function(chunk){
+                        chunks.push(chunk) ;
+                        loaded += chunk.length ;
+                        if(request.onProgress){
+                            request.onProgress("download", loaded, isNaN(total) ? null : total) ;
+                        }
+                    }) ;
+                    res.on("error", function(err){
+                        done(new VeloxServiceNetworkError("Ajax call to "+request.url+" failed", requestErrorDetails(request, {cause: err}))) ;
+                    }) ;
+                    res.on("end", function(){
+                        var buffer = Buffer.concat(chunks) ;
+                        var responseText = null ;
+                        var responseResult = null ;
+                        if(request.responseEncoding === "blob"){
+                            responseResult = typeof(Blob) !== "undefined" ? new Blob([buffer], {type: res.headers["content-type"] || ""}) : buffer ;
+                        }else if(request.responseEncoding === "arraybuffer"){
+                            responseResult = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length) ;
+                        }else{
+                            responseText = buffer.toString("utf8") ;
+                            responseResult = parseResponseText(responseText) ;
+                        }
+                        done(null, {status: res.statusCode, responseText: responseText, response: responseResult, 
+                            headers: res.headers, url: request.url}) ;
+                    }) ;
+                }) ;
+                req.on("error", function(err){
+                    done(new VeloxServiceNetworkError("Ajax call to "+request.url+" failed", requestErrorDetails(request, {cause: err}))) ;
+                }) ;
+                if(body){
+                    var bodyBuffer = Buffer.isBuffer(body.body) ? body.body : Buffer.from(body.body) ;
+                    var sent = 0 ;
+                    //write by chunks to follow the upload progress
+                    for(var offset = 0; offset < bodyBuffer.length; offset += NODE_UPLOAD_CHUNK_SIZE){
+                        var chunk = bodyBuffer.slice(offset, offset + NODE_UPLOAD_CHUNK_SIZE) ;
+                        req.write(chunk, function(chunkLength){
+                            sent += chunkLength ;
+                            if(request.onProgress && !callbackCalled){
+                                request.onProgress("upload", sent, bodyBuffer.length) ;
+                            }
+                        }.bind(null, chunk.length)) ;
+                    }
+                }
+                req.end() ;
+
+                return {
+                    abort: function(){
+                        callbackCalled = true ;
+                        if(req.destroy){
+                            req.destroy() ;
+                        }else{
+                            req.abort() ;
+                        }
+                    }
+                } ;
+            }
+        } ;
+    }
+
+    /**
+     * Create a matcher for a mock URL pattern
+     * 
+     * The pattern can contain path parameters (:id or {id}) and wildcards (*), it can also be a RegExp
+     * 
+     * @param {string|RegExp} pattern the URL pattern
+     * @return {function} function that receive an URL and return the path parameters if it matches or null
+     */
+    function createUrlMatcher(pattern){
+        if(pattern instanceof RegExp){
+            return function(url){
+                var match = pattern.exec(url) ;
+                if(!match){ return null ; }
+                return match.groups || match.slice(1) ;
+            } ;
+        }
+        var paramNames = [] ;
+        var regexpSource = String(pattern).split(/(:[a-zA-Z_$][\w$]*|\{[^}]+\}|\*)/).map(function(part){
+            if(part === "*"){
+                return ".*" ;
+            }
+            if(/^:[a-zA-Z_$]/.test(part)){
+                paramNames.push(part.substring(1)) ;
+                return "([^/]+)" ;
+            }
+            if(/^\{[^}]+\}$/.test(part)){
+                paramNames.push(part.substring(1, part.length-1)) ;
+                return "([^/]+)" ;
+            }
+            return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&") ;
+        }).join("") ;
+        var regexp = new RegExp("^"+regexpSource+"$") ;
+        return function(url){
+            var match = regexp.exec(url) ;
+            if(!match){ return null ; }
+            var params = {} ;
+            paramNames.forEach(function(name, i){
+                params[name] = decodeURIComponent(match[i+1]) ;
+            }) ;
+            return params ;
+        } ;
+    }
+
+    /**
+     * Check if the value matches the expected object (all properties of expected must be equals in value)
+     * or the predicate function
+     * 
+     * @param {object|function} expected the expected object or a predicate
+     * @param {*} value the value to check
+     * @param {object} request the mocked request
+     * @return {boolean} true if it matches
+     */
+    function matchesExpected(expected, value, request){
+        if(typeof(expected) === "function"){
+            return !!expected(value, request) ;
+        }
+        if(expected && typeof(expected) === "object"){
+            if(!value || typeof(value) !== "object"){
+                return false ;
+            }
+            return Object.keys(expected).every(function(k){
+                return matchesExpected(expected[k], value[k], request) ;
+            }) ;
+        }
+        return expected === value ;
+    }
+
+    function mockMatches(mock, request){
+        if(mock.method){
+            var methods = Array.isArray(mock.method) ? mock.method : [mock.method] ;
+            if(!methods.some(function(m){ return m.toUpperCase() === request.method ; })){
+                return null ;
+            }
+        }
+        var params = createUrlMatcher(mock.regex || mock.url)(request.url) ;
+        if(!params){
+            return null ;
+        }
+        var mockRequest = { url: request.url, method: request.method, data: request.data, headers: request.headers, params: params } ;
+        var hasBody = hasRequestBody(request.method) ;
+        if(mock.query && (hasBody || !matchesExpected(mock.query, request.data, mockRequest))){
+            return null ;
+        }
+        if(mock.body && (!hasBody || !matchesExpected(mock.body, request.data, mockRequest))){
+            return null ;
+        }
+        return mockRequest ;
+    }
+
+    var MOCK_PROGRESS_STEPS = 4 ;
+
+    /**
+     * Estimate the size of the data sent in a mocked call
+     * 
+     * @param {*} data the call data
+     * @return {number} the size in bytes
+     */
+    function getMockDataSize(data){
+        if(!data || typeof(data) !== "object" || getBodySize(data) !== null){
+            return getBodySize(data) || 0 ;
+        }
+        return Object.keys(data).reduce(function(size, k){
+            var val = data[k] ;
+            var valSize = val && typeof(val) === "object" ? getBodySize(val) : null ;
+            if(valSize === null){
+                valSize = getBodySize(typeof(val) === "string" ? val : JSON.stringify(val === undefined ? null : val)) ;
+            }
+            return size + k.length + valSize ;
+        }, 0) ;
+    }
+
+    /**
+     * Estimate the size of a mocked response
+     * 
+     * @param {*} response the response (plain data or binary)
+     * @return {number} the size in bytes
+     */
+    function getMockResponseSize(response){
+        if(response && (typeof(response.size) === "number" || typeof(response.byteLength) === "number")){
+            return getBodySize(response) ;
+        }
+        return getBodySize(typeof(response) === "string" ? response : JSON.stringify(response === undefined ? null : response)) ;
+    }
+
+    function getMockLatency(latency){
+        if(Array.isArray(latency)){
+            return latency[0] + Math.round(Math.random() * (latency[1] - latency[0])) ;
+        }
+        return latency || 0 ;
+    }
+
+    /**
+     * Answer a batch request in test mode, each call of the batch is answered by its own mock
+     * 
+     * @param {VeloxServiceTransport} transport the mock transport
+     * @param {VeloxServiceTransportRequest} request the batch request (having the calls requests in subRequests)
+     * @param {function} callback called with the batch response
+     * @return {object} the handle
+     */
+    function sendMockBatch(transport, request, callback){
+        var subResponses = [] ;
+        var remaining = request.subRequests.length ;
+        var handles = request.subRequests.map(function(subRequest, i){
+            return transport.send(subRequest, function(err, response){
+                var subResponse = { id: String(i+1) } ;
+                if(err){
+                    subResponse.error = err ;
+                }else{
+                    subResponse.status = response.status ;
+                    subResponse.headers = response.headers ;
+                    subResponse.body = response.response ;
+                }
+                subResponses[i] = subResponse ;
+                remaining-- ;
+                if(remaining === 0){
+                    callback(null, { status: 200, response: { responses: subResponses }, subResponses: subResponses, 
+                        headers: {}, url: request.url }) ;
+                }
+            }) ;
+        }) ;
+        return {
+            abort: function(){
+                handles.forEach(function(handle){
+                    handle.abort() ;
+                }) ;
+            }
+        } ;
+    }
+
+    /**
+     * Create the mock transport (used in test mode)
+     * 
+     * The transport record all calls, they can be read with getCalls(filter) and cleared with reset()
+     * 
+     * @param {VeloxServiceClient} client the client (its testMocks are used)
+     * @return {VeloxServiceTransport} the transport
+     */
+    function createMockTransport(client){
+        var calls = [] ;
+        var mockCallCounts = [] ;
+
+        var getMockCallCount = function(mock){
+            var state = null ;
+            mockCallCounts.some(function(s){
+                if(s.mock === mock){
+                    state = s ;
+                    return true ;
+                }
+            }) ;
+            if(!state){
+                state = { mock: mock, count: 0 } ;
+                mockCallCounts.push(state) ;
+            }
+            return state ;
+        } ;
+
+        var findMock = function(request){
+            var found = null ;
+            ((client.testMocks && client.testMocks.mocks) || []).some(function(m){
+                var mockRequest = mockMatches(m, request) ;
+                if(mockRequest){
+                    found = { mock: m, mockRequest: mockRequest } ;
+                    return true ;
+                }
+            }) ;
+            return found ;
+        } ;
+
+        return {
+            send: function(request, callback){
+                var url = request.url ;
+                var aborted = false ;
+                var timers = [] ;
+                var handle = {
+                    abort: function(){
+                        aborted = true ;
+                        timers.forEach(clearTimeout) ;
+                    }
+                } ;
+
+                if(request.subRequests && !findMock(request)){
+                    //batch request, answer each call with its own mock
+                    return sendMockBatch(this, request, callback) ;
+                }
+
+                var call = { url: url, method: request.method, data: request.data, headers: request.headers, 
+                    params: {}, mock: null, time: new Date() } ;
+                calls.push(call) ;
+
+                if(!client.testMocks){
+                    callback(new VeloxServiceMockMissingError("Missing mock data", requestErrorDetails(request))) ;
+                    return handle ;
+                }
+                var found = findMock(request) ;
+                if(!found){
+                    callback(new VeloxServiceMockMissingError("Missing mock entry for "+request.method+" URL "+url, requestErrorDetails(request))) ;
+                    return handle ;
+                }
+                var mock = found.mock ;
+                var mockRequest = found.mockRequest ;
+                call.params = mockRequest.params ;
+                call.mock = mock ;
+
+                if(mock.dontMock){
+                    return client._transport.send(request, callback) ;
+                }
+
+                var mockState = getMockCallCount(mock) ;
+                var callIndex = mockState.count++ ;
+
+                var respond = function(){
+                    if(aborted){ return ; }
+                    if(mock.networkError){
+                        return callback(new VeloxServiceNetworkError("Ajax call to "+url+" failed", requestErrorDetails(request))) ;
+                    }
+                    var result = mock.result ;
+                    if(mock.responses){
+                        //sequenced responses, the last one is repeated
+                        result = mock.responses[Math.min(callIndex, mock.responses.length-1)] ;
+                    }
+                    if(typeof(result) === 'function'){
+                        result = result(request.data, mockRequest) ;
+                    }
+                    var response = {status: 200, response: result, headers: {}, url: url} ;
+                    if(result && result.httpStatus){
+                        response = {status: result.httpStatus, response: result.resultObj, headers: lowerCaseKeys(result.headers), url: url} ;
+                    }
+                    if(request.onProgress){
+                        var downloadSize = getMockResponseSize(response.response) ;
+                        request.onProgress("download", downloadSize, downloadSize) ;
+                    }
+                    callback(null, response) ;
+                } ;
+
+                var latency = getMockLatency(mock.latency) ;
+                if(request.onProgress && hasRequestBody(request.method)){
+                    //simulate the upload progress during the latency
+                    var uploadSize = getMockDataSize(request.data) ;
+                    for(var step = 1; step <= MOCK_PROGRESS_STEPS; step++){
+                        var emitUpload = request.onProgress.bind(null, "upload", Math.round(uploadSize * step / MOCK_PROGRESS_STEPS), uploadSize) ;
+                        if(latency){
+                            timers.push(setTimeout(emitUpload, Math.round(latency * step / (MOCK_PROGRESS_STEPS + 1)))) ;
+                        }else{
+                            emitUpload() ;
+                        }
+                    }
+                }
+                if(latency){
+                    timers.push(setTimeout(respond, latency)) ;
+                }else{
+                    respond() ;
+                }
+
+                return handle ;
+            },
+
+            /**
+             * Get the calls received by the mock transport
+             * 
+             * @param {object|function} [filter] filter on calls ({url: ..., method: ...}, url can be a pattern) or a predicate function
+             * @return {object[]} the calls ({url, method, data, headers, params, mock, time})
+             */
+            getCalls: function(filter){
+                if(!filter){
+                    return calls.slice() ;
+                }
+                if(typeof(filter) === "function"){
+                    return calls.filter(filter) ;
+                }
+                var urlMatcher = filter.url ? createUrlMatcher(filter.url) : null ;
+                return calls.filter(function(call){
+                    if(filter.method && filter.method.toUpperCase() !== call.method){
+                        return false ;
+                    }
+                    return !urlMatcher || !!urlMatcher(call.url) ;
+                }) ;
+            },
+
+            /**
+             * Clear the recorded calls and restart the sequenced responses
+             */
+            reset: function(){
+                calls = [] ;
+                mockCallCounts = [] ;
+            }
+        } ;
+    }
+
+    /**
+     * Available transports, the key is the transport name and the value a function that receive the client and create the transport
+     */
+    VeloxServiceClient.transports = {
+        xhr: createXhrTransport,
+        fetch: createFetchTransport,
+        node: createNodeTransport,
+        mock: createMockTransport
+    } ;
+
+    function getDefaultTransportName(){
+        if(typeof(XMLHttpRequest) !== "undefined"){
+            return "xhr" ;
+        }
+        if(typeof(fetch) !== "undefined"){
+            return "fetch" ;
+        }
+        if(nodeRequire){
+            return "node" ;
+        }
+        return "xhr" ;
+    }
+
+    /**
+     * Create the transport from options
+     * 
+     * @param {string|VeloxServiceTransport} transport the transport name or a transport object
+     * @return {VeloxServiceTransport} the transport
+     */
+    VeloxServiceClient.prototype._createTransport = function(transport){
+        if(!transport){
+            transport = getDefaultTransportName() ;
+        }
+        if(typeof(transport) === "string"){
+            if(!VeloxServiceClient.transports[transport]){
+                throw new VeloxServiceError("Unknown transport "+transport) ;
+            }
+            transport = VeloxServiceClient.transports[transport](this) ;
+        }
+        return transport ;
+    } ;
+
+    /**
+     * Get the transport to use (the mock transport in test mode)
+     * 
+     * @return {VeloxServiceTransport} the transport
+     */
+    VeloxServiceClient.prototype._getTransport = function(){
+        if(this.options.testMode){
+            return this._mockTransport ;
+        }
+        if(this._recorder){
+            return this._recorder.transport ;
+        }
+        return this._transport ;
+    } ;
+
+    /**
+     * Copy the data, replacing the scrubbed fields
+     * 
+     * @param {*} data the data to copy
+     * @param {string[]} scrub name of the fields to scrub
+     * @param {*} scrubValue the replacing value, if undefined the fields are removed
+     * @return {*} the scrubbed copy
+     */
+    function scrubData(data, scrub, scrubValue){
+        if(data === undefined){
+            return undefined ;
+        }
+        return JSON.parse(JSON.stringify(data, function(key, value){
+            if(key && scrub.indexOf(key) !== -1){
+                return scrubValue ;
+            }
+            return value ;
+        })) ;
+    }
+
+    /**
+     * Start recording the calls done to the server, the recording can then be exported with exportRecording
+     * and given as testMocks to replay it in test mode
+     * 
+     * @example
+     * api.startRecording({scrub: ["password", "token"]}) ;
+     * ... use the application ...
+     * var testMocks = api.exportRecording() ;
+     * 
+     * @param {VeloxServiceRecordingOptions} [recordingOptions] the recording options
+     */
+    VeloxServiceClient.prototype.startRecording = function(recordingOptions){
+        recordingOptions = recordingOptions || {} ;
+        var scrub = recordingOptions.scrub || [] ;
+        var scrubValue = recordingOptions.scrubValue !== undefined ? recordingOptions.scrubValue : "***" ;
+        var recorder = { entries: [] } ;
+        var client = this ;
+        recorder.transport = {
+            send: function(request, callback){
+                return client._transport.send(request, function(err, response){
+                    var binary = request.responseEncoding === "blob" || request.responseEncoding === "arraybuffer" ;
+                    if(!err && response && response.status > 0 && !binary && 
+                        (!recordingOptions.filter || recordingOptions.filter(request) !== false)){
+                        recorder.entries.push({
+                            url: request.url,
+                            method: request.method,
+                            //scrubbed fields are removed from the expected data to not prevent the mock to match
+                            data: scrubData(request.data, scrub, undefined),
+                            status: response.status,
+                            response: scrubData(response.response, scrub, scrubValue)
+                        }) ;
+                    }
+                    callback(err, response) ;
+                }) ;
+            }
+        } ;
+        this._recorder = recorder ;
+    } ;
+
+    /**
+     * Stop recording the calls
+     * 
+     * @return {VeloxServiceMock} the recorded mocks
+     */
+    VeloxServiceClient.prototype.stopRecording = function(){
+        var mocks = this.exportRecording() ;
+        this._recorder = null ;
+        return mocks ;
+    } ;
+
+    /**
+     * Export the recorded calls as test mocks
+     * 
+     * The calls having the same method, URL and data are grouped as sequenced responses
+     * 
+     * @return {VeloxServiceMock} the recorded mocks (plain JSON object)
+     */
+    VeloxServiceClient.prototype.exportRecording = function(){
+        if(!this._recorder){
+            return { mocks: [] } ;
+        }
+        var mocksByKey = {} ;
+        var mocks = [] ;
+        this._recorder.entries.forEach(function(entry){
+            var key = entry.method+" "+entry.url+" "+JSON.stringify(entry.data) ;
+            var mock = mocksByKey[key] ;
+            if(!mock){
+                mock = { method: entry.method, url: entry.url, responses: [] } ;
+                if(entry.data && typeof(entry.data) === "object" && Object.keys(entry.data).length > 0){
+                    mock[hasRequestBody(entry.method) ? "body" : "query"] = entry.data ;
+                }
+                mocksByKey[key] = mock ;
+                mocks.push(mock) ;
+            }
+            mock.responses.push({ httpStatus: entry.status, resultObj: entry.response }) ;
+        }) ;
+        mocks.forEach(function(mock){
+            if(mock.responses.length === 1){
+                mock.result = mock.responses[0] ;
+                delete mock.responses ;
+            }
+        }) ;
+        //the expected data match partially, put the most specific mocks first
+        mocks.sort(function(m1, m2){
+            return Object.keys(m2.body || m2.query || {}).length - Object.keys(m1.body || m1.query || {}).length ;
+        }) ;
+        return { mocks: mocks } ;
+    } ;
+
+    /**
+     * Get the calls received in test mode
+     * 
+     * @example
+     * expect(api.getMockCalls({url: "users/:id", method: "GET"}).length).toBe(2) ;
+     * 
+     * @param {object|function} [filter] filter on calls ({url: ..., method: ...}, url can be a pattern) or a predicate function
+     * @return {object[]} the calls ({url, method, data, headers, params, mock, time})
+     */
+    VeloxServiceClient.prototype.getMockCalls = function(filter){
+        return this._mockTransport.getCalls(filter) ;
+    } ;
+
+    /**
+     * Clear the calls recorded in test mode and restart the sequenced mock responses
+     */
+    VeloxServiceClient.prototype.resetMocks = function(){
+        this._mockTransport.reset() ;
+    } ;
+
+    /**
+     * Create the request given to the transport
+     * 
+     * @param {object} request the request (url, method, data, dataEncoding, headers, query, server)
+     * @param {string} responseEncoding the response encoding
+     * @return {VeloxServiceTransportRequest} the transport request
+     */
+    VeloxServiceClient.prototype._createTransportRequest = function(request, responseEncoding){
+        var server = this.getServer(request.server) ;
+        var fullUrl = server.url+request.url ;
+        if(request.method === "GET" && request.data){
+            fullUrl = fullUrl+"?"+encodeUrlData(request.data, true) ;
+        }else if(request.query){
+            fullUrl = fullUrl+"?"+encodeUrlData(request.query, true) ;
+        }
+        return {
+            url: request.url,
+            fullUrl: fullUrl,
+            method: request.method,
+            data: request.data,
+            dataEncoding: request.dataEncoding,
+            responseEncoding: responseEncoding,
+            headers: request.headers || {},
+            server: request.server || "default",
+            withCredentials: server.withCredentials !== false
+        } ;
+    } ;
+
+    var incDownload = 0;
+    function uuidTokenDownload(){
+        return (+new Date())+"_"+(incDownload++) ;
+    }
+
+    VeloxServiceClient.prototype._post = function (url, method, data, dataEncoding, callback, timeout, server) {
+        var form = document.createElement("form");
+        form.setAttribute("method", method);
+        form.setAttribute("action", this.createUrl(url, server));
+        if(dataEncoding === "multipart"){
+            form.setAttribute("enctype", "multipart/form-data");
+        }
+
+        var fields = {} ;
+        Object.keys(data||{}).forEach(function(k){
+            fields[k] = data[k] ;
+        }) ;
+        fields.downloadToken = uuidTokenDownload() ;
+        Object.keys(fields).forEach(function(k){
+            var value = fields[k] ;
+            if(value instanceof Date){
+                value = value.toISOString() ;
+            }else if(value && typeof(value) === "object"){
+                //send objects as JSON, as done in query strings
+                value = JSON.stringify(value) ;
+            }
+            var hiddenField = document.createElement("input");
+            hiddenField.setAttribute("type", "hidden");
+            hiddenField.setAttribute("name", k);
+            hiddenField.setAttribute("value", value === undefined || value === null ? "" : value);
+
+            form.appendChild(hiddenField);
+        }) ;
+
+        document.body.appendChild(form);
+        form.submit();
+        setTimeout(function(){
+            document.body.removeChild(form) ;
+        }, 100) ;
+
+        //wait for the download token
+		var start = new Date() ;
+		var timer = setInterval(function(){
+			var finished = document.cookie.split(";").some(function(cook){
+				
+				var cookAndValue = cook.trim().split("=") ;
+				if(cookAndValue[0] === fields.downloadToken){
+					//server has set a cookie, the download finished
+					clearInterval(timer) ;
+					callback() ;
+					return true ;
+				}
+			}) ;
+			if(!finished && timeout){
+				if(new Date().getTime() - start.getTime() > timeout){
+					clearInterval(timer) ;
+					callback(new VeloxServiceTimeoutError("Post to "+url+" timeout ("+timeout+"ms)", {url: url, method: method, timeout: timeout})) ;
+				}
+			}
+		}, 100) ;
+        return {
+            abort: function(){
+                //the browser download can't be stopped, stop waiting for it
+                clearInterval(timer) ;
+            }
+        } ;
+    };
+
+    /**
+     * @typedef VeloxServiceStorage
+     * @type {object}
+     * @property {function} getItem function(key, callback) give the stored value (or null) to callback(err, value)
+     * @property {function} setItem function(key, value, callback) store a JSON serializable value
+     * @property {function} removeItem function(key, callback) remove a stored value
+     * @property {function} keys function(callback) give all stored keys to callback(err, keys)
+     */
+
+    /**
+     * Create a storage keeping values in memory
+     * 
+     * @return {VeloxServiceStorage} the storage
+     */
+    function createMemoryStorage(){
+        var items = {} ;
+        return {
+            getItem: function(key, callback){
+                callback(null, Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null) ;
+            },
+            setItem: function(key, value, callback){
+                items[key] = value ;
+                if(callback){ callback() ; }
+            },
+            removeItem: function(key, callback){
+                delete items[key] ;
+                if(callback){ callback() ; }
+            },
+            keys: function(callback){
+                callback(null, Object.keys(items)) ;
+            }
+        } ;
+    }
+
+    /**
+     * Create a storage using the browser localStorage
+     * 
+     * @param {string} [prefix] prefix of the localStorage keys (default : velox_)
+     * @return {VeloxServiceStorage} the storage
+     */
+    function createLocalStorage(prefix){
+        prefix = prefix || "velox_" ;
+        var safeCall = function(callback, fn){
+            var result ;
+            try{
+                result = fn() ;
+            }catch(err){
+                if(callback){ callback(err) ; }
+                return ;
+            }
+            if(callback){ callback(null, result) ; }
+        } ;
+        return {
+            getItem: function(key, callback){
+                safeCall(callback, function(){
+                    var value = localStorage.getItem(prefix+key) ;
+                    return value === null ? null : JSON.parse(value) ;
+                }) ;
+            },
+            setItem: function(key, value, callback){
+                safeCall(callback, function(){
+                    localStorage.setItem(prefix+key, JSON.stringify(value)) ;
+                }) ;
+            },
+            removeItem: function(key, callback){
+                safeCall(callback, function(){
+                    localStorage.removeItem(prefix+key) ;
+                }) ;
+            },
+            keys: function(callback){
+                safeCall(callback, function(){
+                    var keys = [] ;
+                    for(var i=0; i<localStorage.length; i++){
+                        var key = localStorage.key(i) ;
+                        if(key.indexOf(prefix) === 0){
+                            keys.push(key.substring(prefix.length)) ;
+                        }
+                    }
+                    return keys ;
+                }) ;
+            }
+        } ;
+    }
+
+    /**
+     * Create a storage using the browser IndexedDB
+     * 
+     * @param {string} [dbName] the database name (default : velox_service_client)
+     * @param {string} [storeName] the object store name (default : storage)
+     * @return {VeloxServiceStorage} the storage
+     */
+    function createIndexedDbStorage(dbName, storeName){
+        dbName = dbName || "velox_service_client" ;
+        storeName = storeName || "storage" ;
+        var db = null ;
+        var openCallbacks = null ;
+
+        var openDb = function(callback){
+            if(db){ return callback(null, db) ; }
+            if(openCallbacks){ return openCallbacks.push(callback) ; }
+            openCallbacks = [callback] ;
+            var done = function(err){
+                var callbacks = openCallbacks ;
+                openCallbacks = null ;
+                callbacks.forEach(function(cb){ cb(err, db) ; }) ;
+            } ;
+            var openRequest = indexedDB.open(dbName, 1) ;
+            openRequest.onupgradeneeded = function(){
+                openRequest.result.createObjectStore(storeName) ;
+            } ;
+            openRequest.onsuccess = function(){
+                db = openRequest.result ;
+                done() ;
+            } ;
+            openRequest.onerror = function(){
+                done(openRequest.error) ;
+            } ;
+        } ;
+
+        var runRequest = function(mode, createRequest, callback){
+            openDb(function(err, db){
+                if(err){ 
+                    if(callback){ callback(err) ; }
+                    return ;
+                }
+                var request = createRequest(db.transaction(storeName, mode).objectStore(storeName)) ;
+                request.onsuccess = function(){
+                    if(callback){ callback(null, request.result) ; }
+                } ;
+                request.onerror = function(){
+                    if(callback){ callback(request.error) ; }
+                } ;
+            }) ;
+        } ;
+
+        return {
+            getItem: function(key, callback){
+                runRequest("readonly", function(store){ return store.get(key) ; }, function(err, value){
+                    callback(err, value === undefined ? null : value) ;
+                }) ;
+            },
+            setItem: function(key, value, callback){
+                runRequest("readwrite", function(store){ return store.put(value, key) ; }, callback) ;
+            },
+            removeItem: function(key, callback){
+                runRequest("readwrite", function(store){ return store.delete(key) ; }, callback) ;
+            },
+            keys: function(callback){
+                runRequest("readonly", function(store){ return store.getAllKeys() ; }, callback) ;
+            }
+        } ;
+    }
+
+    /**
+     * Available storages, used by the cache and the extensions needing to persist data
+     */
+    VeloxServiceClient.storages = {
+        memory: createMemoryStorage,
+        localStorage: createLocalStorage,
+        indexedDB: createIndexedDbStorage
+    } ;
+
+    /**
+     * @typedef VeloxServiceCacheOptions
+     * @type {object}
+     * @property {number} [ttl] default time to live of the cached responses in ms (default : 60000)
+     * @property {number} [maxSize] maximum number of responses in cache, the least recently used are removed (default : 100)
+     * @property {VeloxServiceStorage} [storage] storage to persist the cache (default : not persisted)
+     * @property {string} [storagePrefix] prefix of the cache keys in the storage, the other keys of the storage are 
+     *  never read nor removed by the cache so the storage can be shared (default : cache_)
+     */
+
+    /**
+     * Cache of the GET responses
+     * 
+     * The responses are kept in memory (LRU) and, if a storage is given, persisted in it
+     * 
+     * @constructor
+     * 
+     * @param {VeloxServiceCacheOptions} options cache options
+     */
+    function VeloxServiceCache(options){
+        this.ttl = options.ttl !== undefined ? options.ttl : 60000 ;
+        this.maxSize = options.maxSize !== undefined ? options.maxSize : 100 ;
+        this.storage = options.storage ;
+        this.storagePrefix = options.storagePrefix !== undefined ? options.storagePrefix : "cache_" ;
+        this.entries = {} ;
+        //keys from the least to the most recently used
+        this.keys = [] ;
+        //the keys persisted in storage by previous sessions are added to keys on first set
+        this.storedKeysLoaded = !this.storage ;
+    }
+
+    /**
+     * Copy a cached value, the plain objects and arrays are copied deeply so the callers can't modify the cache
+     * 
+     * @param {*} value the value
+     * @return {*} the copy
+     */
+    function cloneCacheValue(value){
+        if(Array.isArray(value)){
+            return value.map(cloneCacheValue) ;
+        }
+        if(Object.prototype.toString.call(value) === "[object Object]"){
+            var copy = {} ;
+            Object.keys(value).forEach(function(k){
+                copy[k] = cloneCacheValue(value[k]) ;
+            }) ;
+            return copy ;
+        }
+        return value ;
+    }
+
+    /**
+     * Create the cache key of a request (server:url?query)
+     * 
+     * @param {string} url the end point url
+     * @param {object} data the request data
+     * @param {string} [server] the server profile name (default : default)
+     * @return {string} the cache key
+     */
+    VeloxServiceCache.createKey = function(url, data, server){
+        return (server || "default")+":"+url+"?"+encodeUrlData(data, true) ;
+    } ;
+
+    VeloxServiceCache.prototype._touch = function(key){
+        var index = this.keys.indexOf(key) ;
+        if(index !== -1){
+            this.keys.splice(index, 1) ;
+        }
+        this.keys.push(key) ;
+    } ;
+
+    VeloxServiceCache.prototype._remove = function(key){
+        var index = this.keys.indexOf(key) ;
+        if(index !== -1){
+            this.keys.splice(index, 1) ;
+        }
+        delete this.entries[key] ;
+        if(this.storage){
+            this.storage.removeItem(this.storagePrefix+key) ;
+        }
+    } ;
+
+    /**
+     * Get the cache keys persisted in storage (the keys of the storage not having the cache prefix are ignored)
+     * 
+     * @param {function} callback called with the cache keys (without the prefix)
+     */
+    VeloxServiceCache.prototype._getStoredKeys = function(callback){
+        var prefix = this.storagePrefix ;
+        this.storage.keys(function(err, storedKeys){
+            if(err){ return callback(err) ; }
+            callback(null, (storedKeys||[]).filter(function(k){
+                return k.indexOf(prefix) === 0 ;
+            }).map(function(k){
+                return k.substring(prefix.length) ;
+            })) ;
+        }) ;
+    } ;
+
+    /**
+     * Get a cached value
+     * 
+     * @param {string} key the cache key
+     * @param {string} [serverUrl] the current URL of the server, the values cached from another URL (before a setServerUrl) are removed
+     * @param {function} callback called with the value or null if not in cache
+     */
+    VeloxServiceCache.prototype.get = function(key, serverUrl, callback){
+        if(typeof(serverUrl) === "function"){
+            callback = serverUrl ;
+            serverUrl = null ;
+        }
+        var readEntry = function(entry){
+            if(!entry){
+                return callback(null, null) ;
+            }
+            if(entry.expires < new Date().getTime() || (serverUrl && entry.serverUrl && entry.serverUrl !== serverUrl)){
+                this._remove(key) ;
+                return callback(null, null) ;
+            }
+            this.entries[key] = entry ;
+            this._touch(key) ;
+            callback(null, cloneCacheValue(entry.value)) ;
+        }.bind(this) ;
+
+        if(this.entries[key] || !this.storage){
+            return readEntry(this.entries[key]) ;
+        }
+        this.storage.getItem(this.storagePrefix+key, function(err, entry){
+            readEntry(err ? null : entry) ;
+        }) ;
+    } ;
+
+    /**
+     * Set a value in cache
+     * 
+     * @param {string} key the cache key
+     * @param {*} value the value to cache
+     * @param {number} [ttl] time to live in ms (default : from cache options)
+     * @param {string} [serverUrl] the URL of the server that gave the value
+     */
+    VeloxServiceCache.prototype.set = function(key, value, ttl, serverUrl){
+        var entry = { value: cloneCacheValue(value), expires: new Date().getTime() + (ttl !== undefined && ttl !== null ? ttl : this.ttl), 
+            serverUrl: serverUrl || null } ;
+        this.entries[key] = entry ;
+        this._touch(key) ;
+        if(this.storage){
+            this.storage.setItem(this.storagePrefix+key, entry) ;
+        }
+        this._loadStoredKeys(function(){
+            while(this.keys.length > this.maxSize){
+                this._remove(this.keys[0]) ;
+            }
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Add the keys persisted in storage (by previous sessions) to the LRU keys, as the least recently used
+     * 
+     * @param {function} callback called when done
+     */
+    VeloxServiceCache.prototype._loadStoredKeys = function(callback){
+        if(this.storedKeysLoaded){
+            return callback() ;
+        }
+        this._getStoredKeys(function(err, storedKeys){
+            if(err){
+                //will try again on next set
+                return callback() ;
+            }
+            this.storedKeysLoaded = true ;
+            var unknownKeys = storedKeys.filter(function(k){
+                return this.keys.indexOf(k) === -1 ;
+            }.bind(this)) ;
+            this.keys = unknownKeys.concat(this.keys) ;
+            callback() ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Remove the cached values matching the filter
+     * 
+     * @param {string|RegExp|function} [filter] end point URL prefix, regexp or function receiving the key, all values are removed if not given
+     * @param {function} [callback] called when done
+     */
+    VeloxServiceCache.prototype.invalidate = function(filter, callback){
+        var matches = function(key){
+            if(!filter){ return true ; }
+            if(typeof(filter) === "function"){ return filter(key) ; }
+            if(filter instanceof RegExp){ return filter.test(key) ; }
+            return key.indexOf(filter) === 0 ;
+        } ;
+        var invalidateKeys = function(keys){
+            keys.filter(matches).forEach(this._remove.bind(this)) ;
+            if(callback){ callback() ; }
+        }.bind(this) ;
+        if(!this.storage){
+            return invalidateKeys(this.keys.slice()) ;
+        }
+        this._getStoredKeys(function(err, storedKeys){
+            if(err){
+                //remove at least the known keys
+                invalidateKeys(this.keys.slice()) ;
+                return ;
+            }
+            var keys = this.keys.slice() ;
+            storedKeys.forEach(function(k){
+                if(keys.indexOf(k) === -1){
+                    keys.push(k) ;
+                }
+            }) ;
+            invalidateKeys(keys) ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Remove cached responses
+     * 
+     * @example
+     * api.invalidateCache("users/") ; //remove all cached responses of end points starting with users/
+     * api.invalidateCache("reports/", "reports") ; //only the cached responses of the reports server profile
+     * 
+     * @param {string|RegExp|function} [filter] end point URL prefix, regexp or function receiving the cache key (server:url?query), all cache is cleared if not given
+     * @param {string} [server] the server profile of the end point URL prefix (default : all servers)
+     * @param {function} [callback] called when done, if not given a Promise is returned
+     * @return {Promise} a Promise if no callback is given
+     */
+    VeloxServiceClient.prototype.invalidateCache = function(filter, server, callback){
+        if(typeof(server) === "function"){
+            callback = server ;
+            server = null ;
+        }
+        return callbackOrPromise(callback, function(cb){
+            if(typeof(filter) === "string"){
+                var prefix = filter ;
+                filter = server ? server+":"+prefix : function(key){
+                    //the key without the server name
+                    return key.substring(key.indexOf(":")+1).indexOf(prefix) === 0 ;
+                } ;
+            }
+            this._cache.invalidate(filter, cb) ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * @typedef VeloxServiceRequestEvent
+     * @type {object}
+     * @property {number} id the call id (unique in the client)
+     * @property {string} correlationId the correlation id sent in header (null if correlation ids are not enabled)
+     * @property {string} url the called URL
+     * @property {string} method the HTTP method
+     * @property {string} endPoint the end point name : the end point definition path (ex: users/{id}) or the URL for direct ajax calls
+     * @property {number} startTime the call start time (timestamp in ms)
+     * @property {number} attempt the current attempt (1 for the first one)
+     * @property {number} retries the number of retries done
+     * @property {number} [duration] the call duration in ms, retries included (requestEnd)
+     * @property {number} [status] the HTTP status (requestRetry and requestEnd, null if no response)
+     * @property {number} [requestSize] the number of bytes sent, when known (requestEnd)
+     * @property {number} [responseSize] the number of bytes received, when known (requestEnd)
+     * @property {boolean} [fromCache] true if the response comes from cache (requestEnd)
+     * @property {number} [delay] the delay in ms before the next attempt (requestRetry)
+     * @property {VeloxServiceError} [error] the error of the failed attempt (requestRetry) or of the call (requestEnd)
+     */
+
+    /**
+     * @typedef VeloxServiceCorrelationOptions
+     * @type {object}
+     * @property {string} [header] the header carrying the correlation id (default : X-Correlation-ID)
+     * @property {function} [generate] function giving a new correlation id (default : random UUID)
+     */
+
+    /**
+     * @typedef VeloxServiceStatsOptions
+     * @type {object}
+     * @property {number} [maxSamples] number of durations kept by end point to compute the percentiles, the oldest are removed (default : 500)
+     */
+
+    /**
+     * @typedef VeloxServiceEndPointStats
+     * @type {object}
+     * @property {number} count the number of calls
+     * @property {number} errors the number of failed calls
+     * @property {number} errorRate errors / count
+     * @property {number} retries the total number of retries
+     * @property {number} avg the average duration in ms
+     * @property {number} p50 the median duration in ms
+     * @property {number} p95 the 95th percentile duration in ms
+     * @property {number} max the maximum duration in ms
+     */
+
+    /**
+     * Create a random correlation id (UUID v4 format)
+     * 
+     * @return {string} the id
+     */
+    function createCorrelationId(){
+        if(typeof(crypto) !== "undefined" && crypto.randomUUID){
+            return crypto.randomUUID() ;
+        }
+        return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function(c){
+            var r = Math.floor(Math.random() * 16) ;
+            return (c === "x" ? r : (r & 0x3 | 0x8)).toString(16) ;
+        }) ;
+    }
+
+    /**
+     * Get the correlation options from the client option
+     * 
+     * @param {VeloxServiceCorrelationOptions|boolean} option the correlationId option
+     * @return {VeloxServiceCorrelationOptions} the options, null if disabled
+     */
+    function getCorrelationOptions(option){
+        if(!option){
+            return null ;
+        }
+        var options = typeof(option) === "object" ? option : {} ;
+        return {
+            header: options.header || "X-Correlation-ID",
+            generate: options.generate || createCorrelationId
+        } ;
+    }
+
+    /**
+     * Statistics of the calls by end point
+     * 
+     * @constructor
+     * 
+     * @param {VeloxServiceStatsOptions} options stats options
+     */
+    function VeloxServiceStats(options){
+        this.maxSamples = options.maxSamples || 500 ;
+        this.reset() ;
+    }
+
+    /**
+     * Record a finished call
+     * 
+     * The aborted calls and the responses from cache are not recorded
+     * 
+     * @param {VeloxServiceRequestEvent} event the requestEnd event
+     */
+    VeloxServiceStats.prototype.record = function(event){
+        if(event.fromCache || event.error instanceof VeloxServiceAbortError){
+            return ;
+        }
+        var key = event.method+" "+event.endPoint ;
+        var entry = this.endPoints[key] ;
+        if(!entry){
+            entry = this.endPoints[key] = { count: 0, errors: 0, retries: 0, totalDuration: 0, max: 0, durations: [] } ;
+        }
+        entry.count++ ;
+        if(event.error){
+            entry.errors++ ;
+        }
+        entry.retries += event.retries ;
+        entry.totalDuration += event.duration ;
+        entry.max = Math.max(entry.max, event.duration) ;
+        entry.durations.push(event.duration) ;
+        if(entry.durations.length > this.maxSamples){
+            entry.durations.shift() ;
+        }
+    } ;
+
+    function percentile(sortedValues, p){
+        if(sortedValues.length === 0){
+            return null ;
+        }
+        //nearest rank
+        return sortedValues[Math.max(0, Math.ceil(p / 100 * sortedValues.length) - 1)] ;
+    }
+
+    /**
+     * Get the statistics summary
+     * 
+     * @return {object} the VeloxServiceEndPointStats by end point ("METHOD endpoint")
+     */
+    VeloxServiceStats.prototype.getSummary = function(){
+        var summary = {} ;
+        Object.keys(this.endPoints).forEach(function(key){
+            var entry = this.endPoints[key] ;
+            var sorted = entry.durations.slice().sort(function(a, b){ return a - b ; }) ;
+            summary[key] = {
+                count: entry.count,
+                errors: entry.errors,
+                errorRate: entry.errors / entry.count,
+                retries: entry.retries,
+                avg: Math.round(entry.totalDuration / entry.count),
+                p50: percentile(sorted, 50),
+                p95: percentile(sorted, 95),
+                max: entry.max
+            } ;
+        }.bind(this)) ;
+        return summary ;
+    } ;
+
+    /**
+     * Remove all statistics
+     */
+    VeloxServiceStats.prototype.reset = function(){
+        this.endPoints = {} ;
+    } ;
+
+    /**
+     * Format a request event for the debug logger
+     * 
+     * @param {string} eventName the event name
+     * @param {VeloxServiceRequestEvent} event the event
+     * @return {string} the log message
+     */
+    function formatRequestEvent(eventName, event){
+        var message = "[VeloxServiceClient] #"+event.id+" "+event.method+" "+event.url ;
+        if(eventName === "requestStart"){
+            return message+" start"+(event.correlationId ? " ("+event.correlationId+")" : "") ;
+        }
+        if(eventName === "requestRetry"){
+            return message+" attempt "+event.attempt+" failed ("+(event.error ? event.error.message : "status "+event.status)+
+                "), retry in "+event.delay+"ms" ;
+        }
+        message += " "+(event.status === null ? "-" : event.status)+" "+event.duration+"ms" ;
+        if(event.retries){
+            message += " ("+event.retries+(event.retries === 1 ? " retry)" : " retries)") ;
+        }
+        if(event.fromCache){
+            message += " (from cache)" ;
+        }
+        if(event.error){
+            message += " "+event.error.name+": "+event.error.message ;
+        }
+        return message ;
+    }
+
+    /**
+     * Listen to the client events
+     * 
+     * Events :
+     *  - requestStart : an ajax call starts
+     *  - requestRetry : an attempt failed and the call will be retried
+     *  - requestEnd : the call is finished (succeed or failed, the error is in the event)
+     * 
+     * The listener receive a VeloxServiceRequestEvent
+     * 
+     * @example
+     * api.on("requestEnd", function(event){
+     *      sendToMonitoring(event.endPoint, event.duration, event.status) ;
+     * }) ;
+     * 
+     * @param {string} event the event name
+     * @param {function} listener the listener
+     */
+    VeloxServiceClient.prototype.on = function(event, listener){
+        this._events.on(event, listener) ;
+    } ;
+
+    /**
+     * Remove an event listener
+     * 
+     * @param {string} event the event name
+     * @param {function} listener the listener
+     */
+    VeloxServiceClient.prototype.off = function(event, listener){
+        this._events.off(event, listener) ;
+    } ;
+
+    /**
+     * Enable or disable the debug log of the calls
+     * 
+     * @param {boolean|function} debug true to log with console, a function(message, eventName, event) to use your own logger, false to disable
+     */
+    VeloxServiceClient.prototype.setDebug = function(debug){
+        if(this._debugListener){
+            ["requestStart", "requestRetry", "requestEnd"].forEach(function(eventName){
+                this._events.off(eventName, this._debugListener[eventName]) ;
+            }.bind(this)) ;
+            this._debugListener = null ;
+        }
+        if(!debug){
+            return ;
+        }
+        var logger = typeof(debug) === "function" ? debug : function(message){
+            (console.debug || console.log).call(console, message) ;
+        } ;
+        this._debugListener = {} ;
+        ["requestStart", "requestRetry", "requestEnd"].forEach(function(eventName){
+            this._debugListener[eventName] = function(event){
+                logger(formatRequestEvent(eventName, event), eventName, event) ;
+            } ;
+            this._events.on(eventName, this._debugListener[eventName]) ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Get the statistics of the calls by end point
+     * 
+     * @example
+     * api.getStats() ;
+     * //{ "GET users/{id}": {count: 120, errors: 3, errorRate: 0.025, retries: 2, avg: 85, p50: 60, p95: 240, max: 1200}, ... }
+     * 
+     * @return {object} the VeloxServiceEndPointStats by end point ("METHOD endpoint")
+     */
+    VeloxServiceClient.prototype.getStats = function(){
+        return this._stats.getSummary() ;
+    } ;
+
+    /**
+     * Remove all call statistics
+     */
+    VeloxServiceClient.prototype.resetStats = function(){
+        this._stats.reset() ;
+    } ;
+
+    /**
+     * @typedef VeloxServiceBatchOptions
+     * @type {object}
+     * @property {string} [endpoint] the batch end point (default : batch)
+     * @property {number} [window] time in ms during which the calls are grouped (default : 10)
+     * @property {number} [maxSize] maximum number of calls in a batch request (default : 20)
+     * @property {boolean} [auto] batch all calls automatically, otherwise only the calls done in api.batch(fn), the end points having
+     *  the batch option and the calls having the batch call option are batched (default : false)
+     * @property {function} [encode] function(requests) giving the batch request body from the sub requests 
+     *  ([{id, method, url, headers, dataEncoding, body}]) (default : {requests: [...]})
+     * @property {function} [decode] function(body) giving the sub responses ([{id, status, headers, body}]) from the batch response body
+     *  (default : body.responses)
+     */
+
+    /**
+     * Batcher, combine many calls in a single request to the batch end point
+     * 
+     * The batch end point receives (as JSON) : {requests: [{id, method, url, headers, dataEncoding, body}]}
+     * and must answer : {responses: [{id, status, headers, body}]}
+     * 
+     * Each call still goes through the request and ajax interceptors, the batcher is used instead of the transport
+     * 
+     * @constructor
+     * 
+     * @param {VeloxServiceClient} client the client
+     * @param {VeloxServiceBatchOptions} options the batch options
+     */
+    function VeloxServiceBatcher(client, options){
+        this.client = client ;
+        this.endpoint = options.endpoint || "batch" ;
+        this.window = options.window !== undefined ? options.window : 10 ;
+        this.maxSize = options.maxSize || 20 ;
+        this.auto = !!options.auto ;
+        this.encode = options.encode || function(requests){
+            return { requests: requests } ;
+        } ;
+        this.decode = options.decode || function(body){
+            return body && body.responses ;
+        } ;
+        this.queue = [] ;
+        this.timer = null ;
+    }
+
+    /**
+     * Check if a request should be batched
+     * 
+     * @param {VeloxServiceTransportRequest} request the request
+     * @param {VeloxServiceCallOptions} callOptions the call options
+     * @param {object} [group] the api.batch group of the call
+     * @return {boolean} true if the request should be sent by the batcher
+     */
+    VeloxServiceBatcher.prototype.accepts = function(request, callOptions, group){
+        if(callOptions.batch === false || request.url === this.endpoint || request.server !== "default"){
+            //the batch end point is on the default server
+            return false ;
+        }
+        if(request.responseEncoding !== "text" || request.dataEncoding === "multipart" || request.dataEncoding === "raw"){
+            //only JSON serializable calls can be batched
+            return false ;
+        }
+        return !!group || callOptions.batch === true || this.auto ;
+    } ;
+
+    /**
+     * Add a request to the batch
+     * 
+     * @param {VeloxServiceTransportRequest} request the request
+     * @param {function} callback called with the sub response (as a transport would do)
+     * @param {object} [group] the api.batch group of the call, if not given the request is sent after the batch window
+     * @return {object} the handle
+     */
+    VeloxServiceBatcher.prototype.send = function(request, callback, group){
+        var item = { request: request, callback: callback, aborted: false, batch: null } ;
+        var list ;
+        if(group && !group.flushed){
+            list = group.items ;
+        }else{
+            list = this.queue ;
+            if(this.queue.length === 0){
+                this.timer = setTimeout(this.flushQueue.bind(this), this.window) ;
+            }
+        }
+        list.push(item) ;
+        if(list === this.queue && this.queue.length >= this.maxSize){
+            this.flushQueue() ;
+        }
+        return {
+            abort: function(){
+                item.aborted = true ;
+                var index = list.indexOf(item) ;
+                if(index !== -1){
+                    //not sent yet
+                    list.splice(index, 1) ;
+                }else if(item.batch && item.batch.items.every(function(i){ return i.aborted ; })){
+                    item.batch.handle.abort() ;
+                }
+            }
+        } ;
+    } ;
+
+    /**
+     * Send the calls waiting in the batch window
+     */
+    VeloxServiceBatcher.prototype.flushQueue = function(){
+        clearTimeout(this.timer) ;
+        var items = this.queue ;
+        this.queue = [] ;
+        this._sendBatch(items) ;
+    } ;
+
+    /**
+     * Release a call of an api.batch group, the group is sent when all its calls are released and the batch function is done
+     * 
+     * @param {object} group the group
+     */
+    VeloxServiceBatcher.prototype.release = function(group){
+        group.pending-- ;
+        if(group.closed && group.pending <= 0 && !group.flushed){
+            group.flushed = true ;
+            this._sendBatch(group.items) ;
+        }
+    } ;
+
+    VeloxServiceBatcher.prototype._sendBatch = function(items){
+        var transport = this.client._getTransport() ;
+        if(items.length === 0){
+            return ;
+        }
+        if(items.length === 1){
+            //no need of a batch request for a single call
+            var single = items[0] ;
+            single.batch = { items: items, handle: transport.send(single.request, single.callback) } ;
+            return ;
+        }
+        var serverUrl = this.client.getServer().url ;
+        var commonHeaders = null ;
+        var subRequests = items.map(function(item, i){
+            var request = item.request ;
+            var headers = request.headers || {} ;
+            if(!commonHeaders){
+                commonHeaders = {} ;
+                Object.keys(headers).forEach(function(h){
+                    commonHeaders[h] = headers[h] ;
+                }) ;
+            }else{
+                Object.keys(commonHeaders).forEach(function(h){
+                    if(headers[h] !== commonHeaders[h]){
+                        delete commonHeaders[h] ;
+                    }
+                }) ;
+            }
+            return {
+                id: String(i+1),
+                method: request.method,
+                url: request.fullUrl.indexOf(serverUrl) === 0 ? request.fullUrl.substring(serverUrl.length) : request.fullUrl,
+                headers: headers,
+                dataEncoding: request.dataEncoding,
+                body: hasRequestBody(request.method) ? request.data : undefined
+            } ;
+        }) ;
+
+        var batchRequest = this.client._createTransportRequest({ url: this.endpoint, method: "POST", data: this.encode(subRequests),
+            dataEncoding: "json", headers: commonHeaders }, "text") ;
+        //keep the requests of the calls, the mock transport use them to answer
+        batchRequest.subRequests = items.map(function(item){
+            return item.request ;
+        }) ;
+        var batch = { items: items, handle: null } ;
+        items.forEach(function(item){
+            item.batch = batch ;
+        }) ;
+        batch.handle = transport.send(batchRequest, function(err, response){
+            if(!err && response.status >= 200 && response.status < 300){
+                var subResponses = response.subResponses || this.decode(response.response) || [] ;
+                items.forEach(function(item, i){
+                    if(item.aborted){ return ; }
+                    var subResponse = subResponses.filter(function(r){
+                        return String(r.id) === String(i+1) ;
+                    })[0] ;
+                    if(!subResponse){
+                        return item.callback(new VeloxServiceError("Missing response of "+item.request.url+" in batch response", 
+                            requestErrorDetails(item.request))) ;
+                    }
+                    if(subResponse.error){
+                        return item.callback(subResponse.error) ;
+                    }
+                    var body = subResponse.body ;
+                    item.callback(null, { status: subResponse.status, 
+                        responseText: body === undefined || body === null || typeof(body) === "string" ? body : JSON.stringify(body), 
+                        response: body, headers: lowerCaseKeys(subResponse.headers), url: item.request.url }) ;
+                }) ;
+                return ;
+            }
+            //the batch request failed, all calls fail
+            items.forEach(function(item){
+                if(item.aborted){ return ; }
+                item.callback(err, err ? undefined : response) ;
+            }) ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Group the calls done in the function in a single batch request
+     * 
+     * The calls are sent when the function returns (or when they have gone through asynchronous request interceptors)
+     * 
+     * @example
+     * api.batch(function(){
+     *      return Promise.all([ api.users.list(), api.settings.get(), api.messages.unread() ]) ;
+     * }).then(function(results){ ... }) ;
+     * 
+     * @param {function} fn the function doing the calls
+     * @return {*} the function return value
+     */
+    VeloxServiceClient.prototype.batch = function(fn){
+        var group = { items: [], pending: 0, closed: false, flushed: false } ;
+        var previousGroup = this._batchGroup ;
+        this._batchGroup = group ;
+        var result ;
+        try{
+            result = fn() ;
+        }finally{
+            this._batchGroup = previousGroup ;
+            group.closed = true ;
+            //release the function itself
+            group.pending++ ;
+            this._batcher.release(group) ;
+        }
+        return result ;
+    } ;
+
+    /**
+     * Perform ajax call
+     * 
+     * @param {string} url the url to call
+     * @param {string} method the HTTP method
+     * @param {object} data the parameters to send
+     * @param {string} [dataEncoding] data encoding for ajax calls : form for formdata, json for json payload, multipart, 
+     *  raw to send a Blob, Buffer or ArrayBuffer as is (default : from options)
+     * @param {string} [responseEncoding] response encoding : text, blob or arraybuffer (default: text)
+     * @param {VeloxServiceCallOptions} [callOptions] options of this call (timeout, abort signal, retry)
+     * @param {function(Error, *)} [callback] called with error or result, if not given a Promise is returned
+     * @return {VeloxServiceCallHandle|Promise} the call handle if a callback is given, a Promise having the call handle functions otherwise
+     */
+    VeloxServiceClient.prototype.ajax = function (url, method, data) {
+        var callArgs = parseCallArgs(Array.prototype.slice.call(arguments, 3)) ;
+        var callOptions = callArgs.callOptions || {} ;
+        var responseEncoding = callArgs.responseEncoding || "text" ;
+        method = method.toUpperCase() ;
 
-    VeloxServiceClient.prototype._callMock = function (url, method, data, dataEncoding, responseEncoding, callback) {
-        if(!this.testMocks){
-            return callback("Missing mock data") ;
+        var timeout = callOptions.timeout !== undefined ? callOptions.timeout : this.options.timeout ;
+        var signal = callOptions.signal ;
+
+        var transport = this._getTransport() ;
+        var batchGroup = callOptions.batch === false ? null : this._batchGroup ;
+        var cacheKey = null ;
+        if(method === "GET" && callOptions.cache){
+            cacheKey = VeloxServiceCache.createKey(url, data, callOptions.server) ;
         }
-        var found = this.testMocks.mocks.some(function(mock){
-            if(mock.url === url){
-                if(mock.dontMock){
-                    return this._callXhr(url, method, data, dataEncoding, callback) ;
+
+        return callbackOrPromise(callArgs.callback, function(cb){
+            var server ;
+            try{
+                server = this.getServer(callOptions.server) ;
+            }catch(err){
+                //unknown server profile
+                return cb(err) ;
+            }
+            var dataEncoding = callArgs.dataEncoding || server.dataEncoding ;
+            if(batchGroup){
+                batchGroup.pending++ ;
+            }
+            var correlationId = callOptions.correlationId || (this._correlation ? this._correlation.generate() : null) ;
+            var correlationHeader = (this._correlation || getCorrelationOptions(true)).header ;
+            var createRequest = function(attempt){
+                var requestData = data ;
+                if(Object.prototype.toString.call(data) === "[object Object]"){
+                    //copy the data to let interceptors modify it without altering the next attempts
+                    requestData = {} ;
+                    Object.keys(data).forEach(function(k){
+                        requestData[k] = data[k] ;
+                    }) ;
+                }
+                var headers = {} ;
+                [server.headers, callOptions.headers].forEach(function(sourceHeaders){
+                    Object.keys(sourceHeaders||{}).forEach(function(h){
+                        headers[h] = sourceHeaders[h] ;
+                    }) ;
+                }) ;
+                if(correlationId && headers[correlationHeader] === undefined){
+                    headers[correlationHeader] = correlationId ;
+                }
+                return {url: url, method: method, data: requestData, dataEncoding: dataEncoding, responseEncoding: responseEncoding, 
+                    headers: headers, query: callOptions.query, server: callOptions.server || "default", attempt: attempt, callOptions: callOptions} ;
+            } ;
+            var request = createRequest(0) ;
+            var retryPolicy = getRetryPolicy([callOptions.retry, this.options.retry]) ;
+            var finished = false ;
+            var timer = null ;
+            var retryTimer = null ;
+            var transportHandle = null ;
+            var endAttempt = null ;
+            var emitter = createCallEmitter(callOptions) ;
+            var sentSize = null ;
+            var receivedSize = null ;
+            var emitProgress = function(type, loaded, total){
+                if(finished){ return ; }
+                if(type === "upload"){
+                    sentSize = loaded ;
+                }else{
+                    receivedSize = loaded ;
+                }
+                emitter.emit(type+"Progress", createProgress(type, loaded, total)) ;
+            } ;
+
+            var callInfo = { id: ++this._callId, correlationId: correlationId, url: url, method: method,
+                endPoint: callOptions.endPoint ? callOptions.endPoint.endpoint : url, startTime: new Date().getTime() } ;
+            var emitRequestEvent = function(eventName, details){
+                var event = {} ;
+                Object.keys(callInfo).forEach(function(k){
+                    event[k] = callInfo[k] ;
+                }) ;
+                event.attempt = Math.max(1, request.attempt) ;
+                event.retries = event.attempt - 1 ;
+                Object.keys(details).forEach(function(k){
+                    event[k] = details[k] ;
+                }) ;
+                if(eventName === "requestEnd"){
+                    this._stats.record(event) ;
+                }
+                this._events.emit(eventName, event) ;
+            }.bind(this) ;
+
+            var onSignalAbort = function(){
+                if(finished){ return ; }
+                clearTimeout(retryTimer) ;
+                var abortedHandle = transportHandle ;
+                transportHandle = null ;
+                endAttempt(new VeloxServiceAbortError("Ajax call to "+url+" aborted", requestErrorDetails(request))) ;
+                if(abortedHandle){
+                    abortedHandle.abort() ;
+                }
+            } ;
+
+            var releaseBatchGroup = function(){
+                //the next attempts are not sent in the api.batch group
+                if(batchGroup){
+                    var group = batchGroup ;
+                    batchGroup = null ;
+                    this._batcher.release(group) ;
+                }
+            }.bind(this) ;
+
+            var finish = function(err, response){
+                finished = true ;
+                releaseBatchGroup() ;
+                if(signal && signal.removeEventListener){
+                    signal.removeEventListener("abort", onSignalAbort) ;
+                }
+                var end = function(callErr, result){
+                    var status = response ? response.status : null ;
+                    if(status === null && callErr && callErr.status !== undefined){
+                        status = callErr.status ;
+                    }
+                    emitRequestEvent("requestEnd", { duration: new Date().getTime() - callInfo.startTime, status: status,
+                        requestSize: sentSize, responseSize: receivedSize, fromCache: !!(response && response.fromCache), error: callErr || null }) ;
+                    cb(callErr, result) ;
+                } ;
+                if(err){
+                    return end(err) ;
+                }
+
+                if(response.status >= 200 && response.status < 300) {
+                    if(cacheKey && !response.fromCache){
+                        this._cache.set(cacheKey, response.response, typeof(callOptions.cache) === "number" ? callOptions.cache : null, 
+                            this.getServer(callOptions.server).url) ;
+                    }else if(["GET", "HEAD", "OPTIONS"].indexOf(method) === -1){
+                        //a modification has been done, remove the cached responses of this end point and the related ones
+                        var serverPrefix = (callOptions.server || "default")+":" ;
+                        [url+"?"].concat(callOptions.invalidates||[]).forEach(function(filter){
+                            this._cache.invalidate(typeof(filter) === "string" ? serverPrefix+filter : filter) ;
+                        }.bind(this)) ;
+                    }
+                    end(null, callOptions.rawResponse ? response : response.response);
+                }  else if(response.status > 0){
+                    end(new VeloxServiceHttpError("Ajax call to "+url+" failed with status "+response.status, 
+                        requestErrorDetails(request, {status: response.status, body: response.response, headers: response.headers || {}}))) ;
+                }  else {
+                    end(new VeloxServiceNetworkError("Ajax call to "+url+" failed", requestErrorDetails(request, {cause: response}))) ;
+                }
+            }.bind(this) ;
+
+            var createAttemptEnd = function(){
+                var attemptEnd = function(err, response){
+                    if(attemptEnd.ended){ return ; }
+                    attemptEnd.ended = true ;
+                    clearTimeout(timer) ;
+                    if(err){
+                        err = toServiceError(err, request) ;
+                    }
+                    //each attempt goes through the interceptors
+                    runAjaxInterceptors(this.ajaxInterceptors.slice(), err, request, response, function(modifiedResponse, modifiedErr){
+                        if(finished){ return ; }
+                        var retryDelay = getRetryDelay(retryPolicy, request, modifiedErr, modifiedResponse) ;
+                        if(retryDelay !== null){
+                            emitRequestEvent("requestRetry", { status: modifiedResponse ? modifiedResponse.status : null, 
+                                error: modifiedErr || null, delay: retryDelay }) ;
+                            endAttempt = createAttemptEnd() ;
+                            retryTimer = setTimeout(sendAttempt, retryDelay) ;
+                            return ;
+                        }
+                        finish(modifiedErr, modifiedResponse) ;
+                    }) ;
+                }.bind(this) ;
+                attemptEnd.ended = false ;
+                return attemptEnd ;
+            }.bind(this) ;
+
+            var sendAttempt = function(){
+                request = createRequest(request.attempt+1) ;
+                transportHandle = null ;
+                var attemptEnd = endAttempt ;
+                if(timeout){
+                    timer = setTimeout(function(){
+                        attemptEnd(new VeloxServiceTimeoutError("Ajax call to "+url+" timeout ("+timeout+"ms)", requestErrorDetails(request, {timeout: timeout}))) ;
+                        if(transportHandle){
+                            transportHandle.abort() ;
+                        }
+                    }, timeout) ;
                 }
-                var result = mock.result ;
-                if(typeof(result) === 'function'){
-                    result = result(data) ;
+                runRequestInterceptors(this.requestInterceptors.slice(), request, function(err, interceptedResponse){
+                    if(attemptEnd.ended){ 
+                        //aborted or timeout while running interceptors
+                        return ; 
+                    }
+                    if(err){
+                        attemptEnd.ended = true ;
+                        clearTimeout(timer) ;
+                        return finish(toServiceError(err, request)) ;
+                    }
+                    if(interceptedResponse){
+                        return attemptEnd(null, interceptedResponse) ;
+                    }
+                    var transportRequest = this._createTransportRequest(request, responseEncoding) ;
+                    transportRequest.onProgress = emitProgress ;
+                    transportRequest.uploadProgress = emitter.hasListeners("uploadProgress") ;
+                    if(this._batcher.accepts(transportRequest, callOptions, batchGroup)){
+                        transportHandle = this._batcher.send(transportRequest, attemptEnd, batchGroup) ;
+                    }else{
+                        transportHandle = transport.send(transportRequest, attemptEnd) ;
+                    }
+                    releaseBatchGroup() ;
+                }.bind(this)) ;
+            }.bind(this) ;
+
+            endAttempt = createAttemptEnd() ;
+            emitRequestEvent("requestStart", {}) ;
+            if(signal && signal.aborted){
+                onSignalAbort() ;
+            }else{
+                if(signal && signal.addEventListener){
+                    signal.addEventListener("abort", onSignalAbort) ;
                 }
-                if(result.httpStatus){
-                    callback(null, {status: result.httpStatus, response: result.resultObj, url: url}) ;
+                if(cacheKey){
+                    this._cache.get(cacheKey, this.getServer(callOptions.server).url, function(err, cachedValue){
+                        if(finished){ 
+                            //aborted while reading cache
+                            return ; 
+                        }
+                        if(!err && cachedValue !== null){
+                            return finish(null, {status: 200, response: cachedValue, fromCache: true}) ;
+                        }
+                        sendAttempt() ;
+                    }) ;
                 }else{
-                    callback(null, {status: 200, response: result, url: url}) ;
+                    sendAttempt() ;
                 }
-                return true;
             }
+
+            return createCallHandle(onSignalAbort, emitter, function(event){
+                if(event === "uploadProgress" && transportHandle && transportHandle.listenUploadProgress){
+                    transportHandle.listenUploadProgress() ;
+                }
+            }) ;
         }.bind(this)) ;
-        if(!found){
-            return callback("Missing mock entry for URL "+url) ;
+    } ;
+    
+    /**
+     * Perform post (like a form)
+     * 
+     * This legacy download needs the server to set a cookie named as the downloadToken parameter when the download is done,
+     * prefer download that gives progress and server errors
+     * 
+     * Outside browser (no document to create the form), the request is sent with the transport
+     * 
+     * The request goes through the request interceptors (not through the ajax interceptors). The headers set by the 
+     * interceptors are sent with the transport but can't be sent by the browser form post
+     * 
+     * @param {string} url the url to call
+     * @param {string} method the HTTP method
+     * @param {object} data the parameters to send
+     * @param {string} [dataEncoding] data encoding for ajax calls : form for formdata, json for json payload (default : from options)
+     * @param {function(Error, *)} [callback] called with error or result, if not given a Promise is returned
+     * @param {number} [timeout] timeout in ms to wait for the download
+     * @param {VeloxServiceCallOptions} [callOptions] options of this call (server and progress listeners are used),
+     *  the browser form post does not give progress, the mock transport does in test mode
+     * @return {VeloxServiceCallHandle|Promise} the call handle if a callback is given, a Promise having the call handle functions otherwise
+     */
+    VeloxServiceClient.prototype.post = function (url, method, data, dataEncoding, callback, timeout, callOptions) {
+        if(typeof(dataEncoding) === "function"){
+            callOptions = timeout ;
+            timeout = callback ;
+            callback = dataEncoding;
+            dataEncoding = null ;
         }
+        method = method.toUpperCase() ;
+        callOptions = callOptions || {} ;
 
-        return { addEventListener: function(){console.warn("upload listen is not supported in test mode...") ;} } ;
+        return callbackOrPromise(callback, function(cb){
+            if(!dataEncoding){
+                try{
+                    dataEncoding = this.getServer(callOptions.server).dataEncoding ;
+                }catch(err){
+                    //unknown server profile
+                    return cb(err) ;
+                }
+            }
+            var emitter = createCallEmitter(callOptions) ;
+            var request = {url: url, method: method, data: data, dataEncoding: dataEncoding, responseEncoding: "text", headers: {}, 
+                server: callOptions.server || "default", attempt: 0, callOptions: callOptions} ;
+            var finished = false ;
+            var done = function(err){
+                if(finished){ return ; }
+                finished = true ;
+                cb(err) ;
+            } ;
+            var checkResponse = function(response){
+                if(response.status < 200 || response.status >= 300){
+                    return done(new VeloxServiceHttpError("Post to "+url+" failed with status "+response.status, 
+                        requestErrorDetails(request, {status: response.status, body: response.response, headers: response.headers || {}}))) ;
+                }
+                done() ;
+            } ;
+            var postHandle = null ;
+            this._runRequestInterceptors(request, function(err, interceptedResponse){
+                if(finished){ 
+                    //aborted while running interceptors
+                    return ; 
+                }
+                if(err){
+                    return done(toServiceError(err, request)) ;
+                }
+                if(interceptedResponse){
+                    return checkResponse(interceptedResponse) ;
+                }
+                if(this.options.testMode || typeof(document) === "undefined"){
+                    //no form to post outside browser, send the request with the transport (the mock transport in test mode)
+                    var transportRequest = this._createTransportRequest(request, "text") ;
+                    transportRequest.onProgress = function(type, loaded, total){
+                        if(finished){ return ; }
+                        emitter.emit(type+"Progress", createProgress(type, loaded, total)) ;
+                    } ;
+                    postHandle = this._getTransport().send(transportRequest, function(err, response){
+                        if(err){
+                            return done(toServiceError(err, request)) ;
+                        }
+                        checkResponse(response) ;
+                    }) ;
+                }else{
+                    postHandle = this._post(request.url, request.method, request.data, request.dataEncoding, done, timeout, request.server) ;
+                }
+            }.bind(this)) ;
+            return createCallHandle(function(){
+                if(finished){ return ; }
+                if(postHandle){
+                    postHandle.abort() ;
+                }
+                done(new VeloxServiceAbortError("Post to "+url+" aborted", requestErrorDetails(request))) ;
+            }, emitter) ;
+        }.bind(this)) ;
     } ;
 
-    var incDownload = 0;
-    function uuidTokenDownload(){
-        return (+new Date())+"_"+(incDownload++) ;
-    }
 
-    VeloxServiceClient.prototype._post = function (url, method, data, dataEncoding, callback, timeout) {
-        var form = document.createElement("form");
-        form.setAttribute("method", method);
-        form.setAttribute("action", url);
-        if(dataEncoding === "multipart"){
-            form.setAttribute("enctype", "multipart/form-data");
+    /**
+     * @typedef VeloxServiceDownloadOptions
+     * @type {object}
+     * @property {string} [strategy] how to download : blob (ajax call giving a Blob), form (legacy hidden form post, the server must
+     *  set a cookie named as the downloadToken parameter when done) or auto (blob if supported, form otherwise) (default : auto)
+     * @property {boolean|function} [save] save the file in browser (default : true), or a function(blob, fileName) doing the save
+     * @property {string} [fileName] the file name (default : from Content-Disposition header or the last part of the URL)
+     * @property {number} [timeout] timeout in ms
+     * @property {object} [signal] an AbortSignal to cancel the download
+     * @property {function} [onDownloadProgress] called with a VeloxServiceProgress while the file is received
+     */
+
+    /**
+     * @typedef VeloxServiceDownloadResult
+     * @type {object}
+     * @property {Blob} blob the file content
+     * @property {string} fileName the file name
+     * @property {string} contentType the file content type
+     * @property {number} size the file size in bytes
+     * @property {boolean} saved true if the file has been saved
+     */
+
+    /**
+     * Read the file name of a Content-Disposition header
+     * 
+     * @param {string} header the header value (ex: attachment; filename="report.pdf")
+     * @return {string} the file name or null if not found
+     */
+    function parseContentDispositionFileName(header){
+        if(!header){
+            return null ;
+        }
+        var extended = /filename\*\s*=\s*[^']*'[^']*'([^;]+)/i.exec(header) ;
+        if(extended){
+            try{
+                return decodeURIComponent(extended[1].trim().replace(/^"|"$/g, "")) ;
+            }catch(e){
+                //bad encoding, try the plain filename
+            }
         }
+        var plain = /filename\s*=\s*(?:"((?:\\.|[^"\\])*)"|([^;]+))/i.exec(header) ;
+        if(plain){
+            return plain[1] !== undefined ? plain[1].replace(/\\(.)/g, "$1") : plain[2].trim() ;
+        }
+        return null ;
+    }
 
-        data.downloadToken = uuidTokenDownload() ;
-        Object.keys(data).forEach(function(k){
-            var hiddenField = document.createElement("input");
-            hiddenField.setAttribute("type", "hidden");
-            hiddenField.setAttribute("name", k);
-            hiddenField.setAttribute("value", data[k]);
+    /**
+     * Read a blob (or Buffer) as text
+     * 
+     * @param {Blob|Buffer} blob the blob
+     * @param {function} callback called with (err, text)
+     */
+    function readBlobText(blob, callback){
+        if(typeof(Buffer) !== "undefined" && Buffer.isBuffer(blob)){
+            return callback(null, blob.toString("utf8")) ;
+        }
+        if(blob.text){
+            return blob.text().then(function(text){
+                callback(null, text) ;
+            }, callback) ;
+        }
+        var reader = new FileReader() ;
+        reader.onload = function(){
+            callback(null, reader.result) ;
+        } ;
+        reader.onerror = function(){
+            callback(reader.error) ;
+        } ;
+        reader.readAsText(blob) ;
+    }
 
-            form.appendChild(hiddenField);
-        }) ;
+    /**
+     * Check if the browser can save a blob as a file
+     * 
+     * @return {boolean} true if supported
+     */
+    function canSaveBlob(){
+        if(typeof(navigator) !== "undefined" && navigator.msSaveOrOpenBlob){
+            return true ;
+        }
+        return typeof(document) !== "undefined" && typeof(URL) !== "undefined" && !!URL.createObjectURL ;
+    }
 
-        document.body.appendChild(form);
-        form.submit();
+    /**
+     * Save a blob as a file in the browser
+     * 
+     * @param {Blob} blob the file content
+     * @param {string} fileName the file name
+     * @return {boolean} true if the file has been saved
+     */
+    function saveBlob(blob, fileName){
+        if(typeof(navigator) !== "undefined" && navigator.msSaveOrOpenBlob){
+            navigator.msSaveOrOpenBlob(blob, fileName) ;
+            return true ;
+        }
+        if(!canSaveBlob()){
+            return false ;
+        }
+        var objectUrl = URL.createObjectURL(blob) ;
+        var link = document.createElement("a") ;
+        link.href = objectUrl ;
+        link.download = fileName || "" ;
+        link.style.display = "none" ;
+        document.body.appendChild(link) ;
+        link.click() ;
         setTimeout(function(){
-            document.body.removeChild(form) ;
+            document.body.removeChild(link) ;
+            URL.revokeObjectURL(objectUrl) ;
         }, 100) ;
+        return true ;
+    }
 
-        //wait for the download token
-		var start = new Date() ;
-		var timer = setInterval(function(){
-			var finished = document.cookie.split(";").some(function(cook){
-				
-				var cookAndValue = cook.trim().split("=") ;
-				if(cookAndValue[0] === data.downloadToken){
-					//server has set a cookie, the download finished
-					clearInterval(timer) ;
-					callback() ;
-					return true ;
-				}
-			}) ;
-			if(!finished && timeout){
-				if(new Date().getTime() - start.getTime() > timeout){
-					clearInterval(timer) ;
-					callback("timout "+timeout+" reached") ;
-				}
-			}
-		}, 100) ;
-    };
+    /**
+     * Download a file
+     * 
+     * The file is received as a Blob, its name is read from the Content-Disposition header and it is saved in the browser.
+     * When the server answers with an error status, the error body is read as text (or JSON) in the VeloxServiceHttpError
+     * 
+     * The legacy form post strategy can be used if the browser does not support Blob download (no progress, no error body)
+     * 
+     * @example
+     * api.download("reports/monthly", "GET", {month: 3}, {onDownloadProgress: function(p){ ... }}, function(err, result){
+     *      //result.fileName is the name given by server
+     * }) ;
+     * 
+     * @param {string} url the url to call
+     * @param {string} method the HTTP method
+     * @param {object} data the parameters to send
+     * @param {string} [dataEncoding] data encoding : form for formdata, json for json payload (default : from options)
+     * @param {VeloxServiceDownloadOptions} [downloadOptions] the download options (and other call options)
+     * @param {function(Error, VeloxServiceDownloadResult)} [callback] called with error or result (null with form strategy), if not given a Promise is returned
+     * @return {VeloxServiceCallHandle|Promise} the call handle if a callback is given, a Promise having the call handle functions otherwise
+     */
+    VeloxServiceClient.prototype.download = function (url, method, data) {
+        var callArgs = parseCallArgs(Array.prototype.slice.call(arguments, 3)) ;
+        var downloadOptions = callArgs.callOptions || {} ;
+        //if not given, the data encoding of the server is used by post and ajax
+        var dataEncoding = callArgs.dataEncoding ;
+        var save = downloadOptions.save === undefined ? true : downloadOptions.save ;
+        var strategy = downloadOptions.strategy || "auto" ;
+        if(strategy === "auto"){
+            var blobSupported = typeof(Blob) !== "undefined" && (!save || typeof(save) === "function" || 
+                typeof(document) === "undefined" || canSaveBlob()) ;
+            strategy = blobSupported || this.options.testMode ? "blob" : "form" ;
+        }
+
+        if(strategy === "form"){
+            return this.post(url, method, data || {}, dataEncoding, callArgs.callback, downloadOptions.timeout, downloadOptions) ;
+        }
+        if(strategy !== "blob"){
+            return callbackOrPromise(callArgs.callback, function(cb){
+                cb(new VeloxServiceError("Unknown download strategy "+strategy, { url: url, method: method })) ;
+            }) ;
+        }
+
+        var callOptions = {} ;
+        Object.keys(downloadOptions).forEach(function(k){
+            callOptions[k] = downloadOptions[k] ;
+        }) ;
+        callOptions.rawResponse = true ;
+
+        return callbackOrPromise(callArgs.callback, function(cb){
+            return this.ajax(url, method, data, dataEncoding, "blob", callOptions, function(err, response){
+                if(err){
+                    if(err instanceof VeloxServiceHttpError && err.body && typeof(err.body) === "object"){
+                        //read the error sent by the server
+                        return readBlobText(err.body, function(readErr, text){
+                            if(!readErr){
+                                err.body = parseResponseText(text) ;
+                            }
+                            cb(err) ;
+                        }) ;
+                    }
+                    return cb(err) ;
+                }
+                var blob = response.response ;
+                var headers = response.headers || {} ;
+                var fileName = downloadOptions.fileName || parseContentDispositionFileName(headers["content-disposition"]) || 
+                    decodeURIComponent(url.split("?")[0].split("/").pop()) ;
+                var result = {
+                    blob: blob,
+                    fileName: fileName,
+                    contentType: headers["content-type"] || (blob && blob.type) || null,
+                    size: getBodySize(blob),
+                    saved: false
+                } ;
+                if(typeof(save) === "function"){
+                    save(blob, fileName) ;
+                    result.saved = true ;
+                }else if(save && !this.options.testMode && typeof(document) !== "undefined"){
+                    result.saved = saveBlob(blob, fileName) ;
+                }
+                cb(null, result) ;
+            }.bind(this)) ;
+        }.bind(this)) ;
+    } ;
+
+
+    var DEFAULT_UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024 ;
+    var TUS_VERSION = "1.0.0" ;
+
+    /**
+     * @typedef VeloxServiceUploadOptions
+     * @type {object}
+     * @property {string} [protocol] upload protocol : chunks (each chunk is sent as a multipart call) or tus (default : chunks)
+     * @property {number} [chunkSize] size of the chunks in bytes (default : 5MB)
+     * @property {string} [fileField] name of the data field containing the file (default : the first Blob, File or Buffer field)
+     * @property {boolean} [resume] resume a previous upload of the same file from its last acknowledged chunk (default : true).
+     *  A file is identified by its name, size, last modification date and type, the files without name (Buffer, Blob) 
+     *  are resumed only if an uploadKey is given
+     * @property {string} [uploadKey] the key identifying the file to resume its upload (default : from the file name, size, last modification date and type)
+     * @property {VeloxServiceStorage} [storage] storage of the upload states (default : uploadStorage option, localStorage if available, memory otherwise)
+     * @property {VeloxServiceRetryPolicy|boolean} [retry] retry policy of each chunk, false to disable (default : 3 attempts on network failure and retryable status)
+     * @property {number} [timeout] timeout in ms of each chunk call
+     * @property {object} [signal] an AbortSignal to abort the upload, it can be resumed later
+     * @property {object} [headers] headers to add to each call
+     * @property {string} [server] the name of the server profile to upload to (default : the serverUrl)
+     * @property {function} [onUploadProgress] called with the overall VeloxServiceProgress
+     * @property {function} [onChunk] called with ({index, offset, size}) each time a chunk is acknowledged by the server
+     */
+
+    /**
+     * Check if a value is a file content (Blob, File or Buffer)
+     * 
+     * @param {*} value the value to check
+     * @return {boolean} true if the value is a file content
+     */
+    function isFileContent(value){
+        if(typeof(Blob) !== "undefined" && value instanceof Blob){
+            return true ;
+        }
+        return typeof(Buffer) !== "undefined" && Buffer.isBuffer(value) ;
+    }
+
+    /**
+     * Get a key identifying an upload, used to find the upload state to resume
+     * 
+     * @param {string} url the upload end point
+     * @param {Blob|Buffer} file the file
+     * @param {VeloxServiceUploadOptions} uploadOptions the upload options (uploadKey and server)
+     * @return {string} the key or null if the file can't be identified (no uploadKey option and no file name)
+     */
+    function getUploadStateKey(url, file, uploadOptions){
+        var fileKey = uploadOptions.uploadKey ;
+        if(!fileKey){
+            if(!file.name){
+                //a Buffer or a Blob only known by its size, another content of the same size would resume it
+                return null ;
+            }
+            fileKey = [file.name, getBodySize(file), file.lastModified || "", file.type || ""].join("_") ;
+        }
+        return "upload_"+(uploadOptions.server || "default")+"_"+url+"_"+fileKey ;
+    }
+
+    function encodeBase64(str){
+        if(typeof(Buffer) !== "undefined"){
+            return Buffer.from(str, "utf8").toString("base64") ;
+        }
+        return btoa(unescape(encodeURIComponent(str))) ;
+    }
+
+    /**
+     * Create the upload protocol sending each chunk in a multipart call
+     * 
+     * Each call contains the other data fields and : uploadId, chunkIndex, chunkCount, chunkOffset, totalSize, fileName 
+     * and the chunk in the file field. The server must answer with a success status once the chunk is stored, 
+     * the result of the upload is the response of the last chunk
+     * 
+     * @param {object} upload the upload ({url, method, data, fileField, file, size, chunkSize, call})
+     * @return {object} the protocol ({start, resync, sendChunk, [getResult]})
+     */
+    function createChunksUploadProtocol(upload){
+        var chunkCount = Math.max(1, Math.ceil(upload.size / upload.chunkSize)) ;
+        return {
+            start: function(savedState, callback){
+                if(savedState && savedState.protocol === "chunks"){
+                    return callback(null, savedState) ;
+                }
+                callback(null, { protocol: "chunks", uploadId: uuidTokenDownload()+"_"+Math.random().toString(16).substring(2), 
+                    chunkIndex: 0, offset: 0, complete: false }) ;
+            },
+            resync: function(state, callback){
+                callback(null, state) ;
+            },
+            sendChunk: function(state, onProgress, callback){
+                var chunkData = {} ;
+                Object.keys(upload.data).forEach(function(k){
+                    chunkData[k] = upload.data[k] ;
+                }) ;
+                chunkData.uploadId = state.uploadId ;
+                chunkData.chunkIndex = state.chunkIndex ;
+                chunkData.chunkCount = chunkCount ;
+                chunkData.chunkOffset = state.offset ;
+                chunkData.totalSize = upload.size ;
+                chunkData.fileName = upload.file.name || upload.fileField ;
+                chunkData[upload.fileField] = upload.file.slice(state.offset, state.offset + upload.chunkSize) ;
+                upload.call(upload.url, upload.method, chunkData, "multipart", {}, onProgress, function(err, response){
+                    if(err){ return callback(err) ; }
+                    var chunkSize = getBodySize(chunkData[upload.fileField]) ;
+                    callback(null, { protocol: "chunks", uploadId: state.uploadId, chunkIndex: state.chunkIndex+1, 
+                        offset: state.offset + chunkSize, complete: state.chunkIndex+1 >= chunkCount }, response.response) ;
+                }) ;
+            }
+        } ;
+    }
+
+    /**
+     * Create the tus (https://tus.io) upload protocol
+     * 
+     * The upload is created by a POST to the end point, then the chunks are sent by PATCH to the upload URL given 
+     * in Location header. The other data fields are sent in Upload-Metadata. The result of the upload is {uploadUrl, size}
+     * 
+     * @param {object} upload the upload ({url, method, data, fileField, file, size, chunkSize, call, resolveUrl})
+     * @return {object} the protocol
+     */
+    function createTusUploadProtocol(upload){
+        var create = function(callback){
+            var metadata = { filename: upload.file.name || upload.fileField } ;
+            if(upload.file.type){
+                metadata.filetype = upload.file.type ;
+            }
+            Object.keys(upload.data).forEach(function(k){
+                if(k !== upload.fileField && upload.data[k] !== undefined && upload.data[k] !== null){
+                    metadata[k] = typeof(upload.data[k]) === "object" ? JSON.stringify(upload.data[k]) : String(upload.data[k]) ;
+                }
+            }) ;
+            var headers = {
+                "Upload-Length": String(upload.size),
+                "Upload-Metadata": Object.keys(metadata).map(function(k){
+                    return k+" "+encodeBase64(metadata[k]) ;
+                }).join(",")
+            } ;
+            upload.call(upload.url, "POST", null, "raw", headers, null, function(err, response){
+                if(err){ return callback(err) ; }
+                var location = response.headers && response.headers.location ;
+                if(!location){
+                    return callback(new VeloxServiceError("The tus server did not give the upload location", 
+                        {url: upload.url, method: "POST", status: response.status, body: response.response})) ;
+                }
+                callback(null, { protocol: "tus", uploadUrl: upload.resolveUrl(location), offset: 0, complete: upload.size === 0 }) ;
+            }) ;
+        } ;
+        var readOffset = function(state, callback){
+            upload.call(state.uploadUrl, "HEAD", null, "raw", {}, null, function(err, response){
+                if(err){ return callback(err) ; }
+                var offset = parseInt(response.headers && response.headers["upload-offset"], 10) ;
+                if(isNaN(offset)){
+                    return callback(new VeloxServiceError("The tus server did not give the upload offset", 
+                        {url: state.uploadUrl, method: "HEAD", status: response.status})) ;
+                }
+                callback(null, { protocol: "tus", uploadUrl: state.uploadUrl, offset: offset, complete: offset >= upload.size }) ;
+            }) ;
+        } ;
+        return {
+            start: function(savedState, callback){
+                if(!savedState || savedState.protocol !== "tus"){
+                    return create(callback) ;
+                }
+                readOffset(savedState, function(err, state){
+                    if(err && (err.status === 404 || err.status === 410)){
+                        //the upload does not exist anymore on server, start again
+                        return create(callback) ;
+                    }
+                    callback(err, state) ;
+                }) ;
+            },
+            resync: readOffset,
+            getResult: function(state){
+                return { uploadUrl: state.uploadUrl, size: upload.size } ;
+            },
+            sendChunk: function(state, onProgress, callback){
+                var chunk = upload.file.slice(state.offset, state.offset + upload.chunkSize) ;
+                var headers = {
+                    "Upload-Offset": String(state.offset),
+                    "Content-Type": "application/offset+octet-stream"
+                } ;
+                upload.call(state.uploadUrl, "PATCH", chunk, "raw", headers, onProgress, function(err, response){
+                    if(err){ return callback(err) ; }
+                    var offset = parseInt(response.headers && response.headers["upload-offset"], 10) ;
+                    if(isNaN(offset)){
+                        offset = state.offset + getBodySize(chunk) ;
+                    }
+                    var newState = { protocol: "tus", uploadUrl: state.uploadUrl, offset: offset, complete: offset >= upload.size } ;
+                    callback(null, newState) ;
+                }) ;
+            }
+        } ;
+    }
+
+    VeloxServiceClient.uploadProtocols = {
+        chunks: createChunksUploadProtocol,
+        tus: createTusUploadProtocol
+    } ;
 
-    VeloxServiceClient.prototype._callXhr = function (url, method, data, dataEncoding, responseEncoding, callback) {
-        var xhr = new XMLHttpRequest();
-        
-        if(method === "GET" && data){
-            var querystring = [] ;
-            Object.keys(data).forEach(function(k){
-                var val = data[k] ;
-                if(typeof(val) === "object"){
-                    val = JSON.stringify(val) ;
-                }
-                querystring.push(k+"="+encodeURIComponent(val)) ;
-            }) ;
-            url = url+"?"+querystring.join("&") ;
+    /**
+     * Get the retry policy of the upload chunks
+     * 
+     * @param {VeloxServiceRetryPolicy|boolean} [retry] the retry option
+     * @return {VeloxServiceRetryPolicy} the policy or null if disabled
+     */
+    function getUploadRetryPolicy(retry){
+        var policy = getRetryPolicy([retry, true]) ;
+        if(policy && !(retry && retry.methods)){
+            //the chunks can be sent again safely
+            policy.methods = ["POST", "PUT", "PATCH", "HEAD"] ;
         }
-        
-        xhr.open(method, this.createUrl(url));
-        xhr.withCredentials = true ;
+        return policy ;
+    }
 
-        if(responseEncoding === "blob"){
-            xhr.responseType = 'blob';
-        }else if(responseEncoding === "arraybuffer"){
-            xhr.responseType = 'arraybuffer';
+    /**
+     * Get the URL to call from the upload URL given by the server
+     * 
+     * The URL is kept relative to the server URL if possible, to go through the mocks in test mode
+     * 
+     * @param {string} location the URL given by the server (absolute or relative)
+     * @param {string} [server] the server profile name
+     * @return {string} the URL to give to ajax
+     */
+    VeloxServiceClient.prototype._resolveServerUrl = function(location, server){
+        var serverUrl = this.getServer(server).url ;
+        if(location[0] === "/" && location[1] !== "/"){
+            var origin = /^[a-z]+:\/\/[^/]+/i.exec(serverUrl) ;
+            location = (origin ? origin[0] : "") + location ;
         }
+        if(location.indexOf(serverUrl) === 0){
+            return location.substring(serverUrl.length) ;
+        }
+        return location ;
+    } ;
 
-        var callbackCalled = false ;
-        xhr.onreadystatechange = (function () {
-            
-            if (xhr.readyState === 4){
-                var responseResult = null ;
-                var responseText = null ;
-                if(responseEncoding === "arraybuffer" || responseEncoding === "blob"){
-                    responseResult = xhr.response ;
-                } else {
-                    responseText = xhr.responseText ;
-                    responseResult = xhr.responseText ;
-                    if(responseResult){
-                        try{
-                            responseResult = JSON.parse(responseResult) ;
-                        }catch(e){}
-                    }
-                }
+    /**
+     * Upload a file by chunks
+     * 
+     * The file (Blob, File or Buffer) is read in data (fileField option or the first file field). Each chunk is sent
+     * with ajax (going through the interceptors) and retried on failure. The upload state is saved after each acknowledged 
+     * chunk so an interrupted upload (network failure, abort, page reload) restart from its last chunk when the same
+     * file is uploaded again (give the uploadKey option to resume the files having no name, as Buffer)
+     * 
+     * @example
+     * api.upload("files", "POST", {folder: "docs", file: file}, { chunkSize: 1024*1024, onUploadProgress: function(p){ ... } }, function(err, result){
+     *      //result is the response of the last chunk
+     * }) ;
+     * 
+     * @param {string} url the url to call
+     * @param {string} method the HTTP method (used by chunks protocol)
+     * @param {object} data the parameters to send, containing the file
+     * @param {VeloxServiceUploadOptions} [uploadOptions] the upload options
+     * @param {function(Error, *)} [callback] called with error or result, if not given a Promise is returned
+     * @return {VeloxServiceCallHandle|Promise} the call handle if a callback is given, a Promise having the call handle functions otherwise
+     */
+    VeloxServiceClient.prototype.upload = function (url, method, data, uploadOptions, callback) {
+        if(typeof(uploadOptions) === "function"){
+            callback = uploadOptions ;
+            uploadOptions = null ;
+        }
+        uploadOptions = uploadOptions || {} ;
+        method = method.toUpperCase() ;
+        data = data || {} ;
 
-                var response = {status: xhr.status, responseText: responseText, response: responseResult, url: url} ;
-                callbackCalled = true ;
-                callback(null, response) ;
-            } 
-        }).bind(this);
+        return callbackOrPromise(callback, function(cb){
+            var emitter = createCallEmitter(uploadOptions) ;
+            var finished = false ;
+            var currentHandle = null ;
+            var retryTimer = null ;
+            var signal = uploadOptions.signal ;
 
-        xhr.onerror = (function () {
-            if(!callbackCalled){
-                callback("Ajax call to "+url+" failed") ;
-            }
-        }).bind(this);
+            var fileField = uploadOptions.fileField || Object.keys(data).filter(function(k){
+                return isFileContent(data[k]) ;
+            })[0] ;
+            var file = fileField ? data[fileField] : null ;
 
+            var onSignalAbort = function(){
+                if(finished){ return ; }
+                clearTimeout(retryTimer) ;
+                var abortedHandle = currentHandle ;
+                done(new VeloxServiceAbortError("Upload to "+url+" aborted", {url: url, method: method})) ;
+                if(abortedHandle){
+                    abortedHandle.abort() ;
+                }
+            } ;
+            var done = function(err, result){
+                if(finished){ return ; }
+                finished = true ;
+                if(signal && signal.removeEventListener){
+                    signal.removeEventListener("abort", onSignalAbort) ;
+                }
+                cb(err, result) ;
+            } ;
+            var handle = createCallHandle(onSignalAbort, emitter) ;
 
-        if(this.options.xhrPrepare){
-            this.options.xhrPrepare(xhr) ;
-        }
+            if(!file){
+                done(new VeloxServiceValidationError("Missing file to upload to "+url, 
+                    {url: url, method: method, errors: [ { field: fileField || "file", message: "is required" } ]})) ;
+                return handle ;
+            }
+            var protocolName = uploadOptions.protocol || "chunks" ;
+            if(!VeloxServiceClient.uploadProtocols[protocolName]){
+                done(new VeloxServiceError("Unknown upload protocol "+protocolName, {url: url, method: method})) ;
+                return handle ;
+            }
 
-        try{
-            if(method === "POST" || method === "PUT"){
-                if(dataEncoding === "json"){
-                    xhr.setRequestHeader("Content-type", "application/json");
-                    xhr.send(JSON.stringify(data));
-                }else if(dataEncoding === "multipart"){
-                    var formData = new FormData();
-                    Object.keys(data).forEach(function (key) {
-                        formData.append(key, data[key]);
+            var size = getBodySize(file) ;
+            var storage = uploadOptions.storage || this._getUploadStorage() ;
+            var stateKey = getUploadStateKey(url, file, uploadOptions) ;
+            var saveState = function(state){
+                if(stateKey){
+                    storage.setItem(stateKey, state) ;
+                }
+            } ;
+            var retryPolicy = getUploadRetryPolicy(uploadOptions.retry) ;
+
+            var protocol = VeloxServiceClient.uploadProtocols[protocolName]({
+                url: url, method: method, data: data, fileField: fileField, file: file, size: size,
+                chunkSize: uploadOptions.chunkSize || DEFAULT_UPLOAD_CHUNK_SIZE,
+                resolveUrl: function(location){
+                    return this._resolveServerUrl(location, uploadOptions.server) ;
+                }.bind(this),
+                call: function(callUrl, callMethod, callData, dataEncoding, headers, onProgress, callback){
+                    var callHeaders = {} ;
+                    Object.keys(uploadOptions.headers||{}).forEach(function(h){
+                        callHeaders[h] = uploadOptions.headers[h] ;
                     }) ;
-                    xhr.send(formData);
-                }else{
-                    var urlEncodedDataPairs = [];
-                    Object.keys(data).forEach(function(k){
-                        urlEncodedDataPairs.push(encodeURIComponent(k) + '=' + encodeURIComponent(data[k]));
+                    if(protocolName === "tus"){
+                        callHeaders["Tus-Resumable"] = TUS_VERSION ;
+                    }
+                    Object.keys(headers||{}).forEach(function(h){
+                        callHeaders[h] = headers[h] ;
+                    }) ;
+                    currentHandle = this.ajax(callUrl, callMethod, callData, dataEncoding, { 
+                        timeout: uploadOptions.timeout, retry: false, headers: callHeaders, rawResponse: true, server: uploadOptions.server,
+                        onUploadProgress: onProgress ? function(progress){
+                            onProgress(progress.lengthComputable ? progress.loaded / progress.total : 0) ;
+                        } : null
+                    }, function(err, response){
+                        currentHandle = null ;
+                        if(finished){ return ; }
+                        callback(err, response) ;
                     }) ;
-                    var urlEncodedData = urlEncodedDataPairs.join('&').replace(/%20/g, '+');
+                }.bind(this)
+            }) ;
+
+            var emitProgress = function(loaded){
+                if(finished){ return ; }
+                emitter.emit("uploadProgress", createProgress("upload", Math.min(loaded, size), size)) ;
+            } ;
+
+            var retryOrFail = function(err, attempt, retry){
+                var response = err instanceof VeloxServiceHttpError ? { status: err.status, headers: err.headers } : null ;
+                var retryDelay = getRetryDelay(retryPolicy, { attempt: attempt, method: method }, response ? null : err, response) ;
+                if(retryDelay === null){
+                    return done(err) ;
+                }
+                retryTimer = setTimeout(retry, retryDelay) ;
+            } ;
 
-                    xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
-                    xhr.send(urlEncodedData);
+            var sendNext = function(state, attempt, result){
+                if(finished){ return ; }
+                if(state.complete){
+                    if(stateKey){
+                        storage.removeItem(stateKey) ;
+                    }
+                    emitProgress(size) ;
+                    return done(null, result !== undefined || !protocol.getResult ? result : protocol.getResult(state)) ;
                 }
-            } else {
-                xhr.send();
+                var chunkStart = state.offset ;
+                var chunkSize = Math.min(uploadOptions.chunkSize || DEFAULT_UPLOAD_CHUNK_SIZE, size - chunkStart) ;
+                protocol.sendChunk(state, function(chunkRatio){
+                    emitProgress(chunkStart + Math.round(chunkSize * chunkRatio)) ;
+                }, function(err, newState, chunkResult){
+                    if(err){
+                        return retryOrFail(err, attempt, resyncAndSend.bind(null, state, attempt+1, result)) ;
+                    }
+                    saveState(newState) ;
+                    emitProgress(newState.offset) ;
+                    if(uploadOptions.onChunk){
+                        uploadOptions.onChunk({ index: Math.floor(chunkStart / (uploadOptions.chunkSize || DEFAULT_UPLOAD_CHUNK_SIZE)), 
+                            offset: chunkStart, size: newState.offset - chunkStart }) ;
+                    }
+                    sendNext(newState, 1, chunkResult) ;
+                }) ;
+            } ;
+
+            var resyncAndSend = function(state, attempt, result){
+                //the server may have received a part of the failed chunk
+                protocol.resync(state, function(err, syncedState){
+                    if(finished){ return ; }
+                    if(err){
+                        return retryOrFail(err, attempt, resyncAndSend.bind(null, state, attempt+1, result)) ;
+                    }
+                    sendNext(syncedState, attempt, result) ;
+                }) ;
+            } ;
+
+            var start = function(savedState, attempt){
+                protocol.start(savedState, function(err, state){
+                    if(finished){ return ; }
+                    if(err){
+                        return retryOrFail(err, attempt, start.bind(null, savedState, attempt+1)) ;
+                    }
+                    saveState(state) ;
+                    emitProgress(state.offset) ;
+                    sendNext(state, 1) ;
+                }) ;
+            } ;
+
+            if(signal && signal.aborted){
+                onSignalAbort() ;
+                return handle ;
             }
-        }catch(err){
-            callback(err) ;
-        }
-        return xhr.upload || { addEventListener: function(){console.warn("upload listen is not supported on your browser...") ;} } ;
+            if(signal && signal.addEventListener){
+                signal.addEventListener("abort", onSignalAbort) ;
+            }
+            if(uploadOptions.resume === false || !stateKey){
+                start(null, 1) ;
+            }else{
+                storage.getItem(stateKey, function(err, savedState){
+                    if(finished){ return ; }
+                    start(err ? null : savedState, 1) ;
+                }) ;
+            }
+            return handle ;
+        }.bind(this)) ;
     } ;
 
     /**
-     * Perform ajax call
+     * Get the storage of the upload states
      * 
-     * @param {string} url the url to call
-     * @param {string} method the HTTP method
-     * @param {object} data the parameters to send
-     * @param {string} [dataEncoding] data encoding for ajax calls : form for formdata, json for json payload (default : from options)
-     * @param {function(Error, *)} callback called with error or result
+     * @return {VeloxServiceStorage} the storage
      */
-    VeloxServiceClient.prototype.ajax = function (url, method, data, dataEncoding, responseEncoding, callback) {
-        if(typeof(dataEncoding) === "function"){
-            callback = dataEncoding;
-            dataEncoding = this.options.dataEncoding ;
-            responseEncoding = "text" ;
-        }
-        if(typeof(responseEncoding) === "function"){
-            callback = responseEncoding;
-            responseEncoding = "text" ;
+    VeloxServiceClient.prototype._getUploadStorage = function(){
+        if(!this.uploadStorage){
+            this.uploadStorage = this.options.uploadStorage ;
+            if(!this.uploadStorage){
+                this.uploadStorage = typeof(localStorage) !== "undefined" ?
+                    VeloxServiceClient.storages.localStorage("velox_upload_") : VeloxServiceClient.storages.memory() ;
+            }
         }
-        method = method.toUpperCase() ;
+        return this.uploadStorage ;
+    } ;
 
-        var funcToCall = "_callXhr" ;
 
-        if(this.options.testMode){
-            funcToCall = "_callMock" ;
+    /**
+     * Get the JSON schema of an argument definition
+     * 
+     * @param {object} arg the argument definition (having type or schema)
+     * @return {object} the JSON schema or null if the argument has no type
+     */
+    function getArgSchema(arg){
+        if(arg.schema){
+            return arg.schema ;
         }
+        if(arg.type === "date"){
+            return { type: "string", format: "date-time" } ;
+        }
+        if(arg.type){
+            return { type: arg.type } ;
+        }
+        return null ;
+    }
 
-        var uploadListener = this[funcToCall](url, method, data, dataEncoding, responseEncoding, function(err, response){
-            var request = {url: url, method: method, data: data, dataEncoding: dataEncoding} ;
-            runAjaxInterceptors(this.ajaxInterceptors.slice(), err, request, response, function(modifiedResponse){
-                if(err){
-                    return callback(err) ;
-                }
+    function getValueType(value){
+        if(value === null){ return "null" ; }
+        if(Array.isArray(value)){ return "array" ; }
+        if(typeof(value) === "number" && value % 1 === 0){ return "integer" ; }
+        return typeof(value) ;
+    }
 
-                if(modifiedResponse.status >= 200 && modifiedResponse.status < 300) {
-                    callback(null, modifiedResponse.response);
-                }  else if(response.status > 0){
-                    callback(modifiedResponse.response||modifiedResponse.status);
-                }  else {
-                    callback(modifiedResponse);
-                }
-            }) ;
-        }.bind(this)) ;
+    function schemaAcceptsType(schema, type){
+        var types = Array.isArray(schema.type) ? schema.type : [schema.type] ;
+        return types.indexOf(type) !== -1 ;
+    }
 
-        return uploadListener ;
-    } ;
-    
     /**
-     * Perform post (like a form)
+     * Coerce simple values to the schema type : Date to ISO string, numeric string to number, "true"/"false" to boolean
      * 
-     * @param {string} url the url to call
-     * @param {string} method the HTTP method
-     * @param {object} data the parameters to send
-     * @param {string} [dataEncoding] data encoding for ajax calls : form for formdata, json for json payload (default : from options)
-     * @param {function(Error, *)} callback called with error or result
+     * @param {*} value the value to coerce
+     * @param {object} schema the JSON schema
+     * @return {*} the coerced value
      */
-    VeloxServiceClient.prototype.post = function (url, method, data, dataEncoding, callback, timeout) {
-        if(typeof(dataEncoding) === "function"){
-            callback = dataEncoding;
-            dataEncoding = this.options.dataEncoding ;
+    function coerceValue(value, schema){
+        if(!schema || value === null || value === undefined){
+            return value ;
         }
-        method = method.toUpperCase() ;
+        if(value instanceof Date && schemaAcceptsType(schema, "string")){
+            if(schema.format === "date"){
+                return value.toISOString().substring(0, 10) ;
+            }
+            return value.toISOString() ;
+        }
+        if(typeof(value) === "string" && value.trim() !== "" && !isNaN(value) && 
+            (schemaAcceptsType(schema, "number") || schemaAcceptsType(schema, "integer")) && !schemaAcceptsType(schema, "string")){
+            return Number(value) ;
+        }
+        if((value === "true" || value === "false") && schemaAcceptsType(schema, "boolean") && !schemaAcceptsType(schema, "string")){
+            return value === "true" ;
+        }
+        if(schema.properties && getValueType(value) === "object" && !(value instanceof Date)){
+            var coerced = {} ;
+            Object.keys(value).forEach(function(k){
+                coerced[k] = coerceValue(value[k], schema.properties[k]) ;
+            }) ;
+            return coerced ;
+        }
+        if(schema.items && Array.isArray(value)){
+            return value.map(function(item){
+                return coerceValue(item, schema.items) ;
+            }) ;
+        }
+        return value ;
+    }
 
-        var funcToCall = "_post" ;
+    var FORMATS = {
+        "date-time": /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/,
+        "date": /^\d{4}-\d{2}-\d{2}$/,
+        "email": /^[^\s@]+@[^\s@]+$/
+    } ;
 
-        if(this.options.testMode){
-            funcToCall = "_callMock" ;
+    /**
+     * Validate a value against a JSON schema (supported keywords : type, enum, format, required, properties, 
+     * additionalProperties, items, minLength, maxLength, pattern, minimum, maximum, minItems, maxItems)
+     * 
+     * @param {*} value the value to validate
+     * @param {object} schema the JSON schema
+     * @param {string} field the field name (path) of the value
+     * @param {object[]} errors the errors list, receive {field, message, value} for each error
+     */
+    function validateValue(value, schema, field, errors){
+        if(!schema){ return ; }
+        var addError = function(message){
+            errors.push({ field: field, message: message, value: value }) ;
+        } ;
+        var type = getValueType(value) ;
+        if(value === null && schema.nullable){
+            return ;
+        }
+        if(schema.type){
+            var accepted = schemaAcceptsType(schema, type) || (type === "integer" && schemaAcceptsType(schema, "number")) ;
+            if(!accepted){
+                return addError("should be of type "+(Array.isArray(schema.type) ? schema.type.join(" or ") : schema.type)) ;
+            }
+        }
+        if(schema.enum && !schema.enum.some(function(e){ return e === value ; })){
+            addError("should be one of "+schema.enum.join(", ")) ;
+        }
+        if(typeof(value) === "string"){
+            if(schema.minLength !== undefined && value.length < schema.minLength){
+                addError("should have at least "+schema.minLength+" characters") ;
+            }
+            if(schema.maxLength !== undefined && value.length > schema.maxLength){
+                addError("should have at most "+schema.maxLength+" characters") ;
+            }
+            if(schema.pattern && !new RegExp(schema.pattern).test(value)){
+                addError("should match pattern "+schema.pattern) ;
+            }
+            if(schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)){
+                addError("should be a valid "+schema.format) ;
+            }
         }
+        if(typeof(value) === "number"){
+            if(schema.minimum !== undefined && value < schema.minimum){
+                addError("should be >= "+schema.minimum) ;
+            }
+            if(schema.maximum !== undefined && value > schema.maximum){
+                addError("should be <= "+schema.maximum) ;
+            }
+        }
+        if(type === "array"){
+            if(schema.minItems !== undefined && value.length < schema.minItems){
+                addError("should have at least "+schema.minItems+" items") ;
+            }
+            if(schema.maxItems !== undefined && value.length > schema.maxItems){
+                addError("should have at most "+schema.maxItems+" items") ;
+            }
+            if(schema.items){
+                value.forEach(function(item, i){
+                    validateValue(item, schema.items, field+"["+i+"]", errors) ;
+                }) ;
+            }
+        }
+        if(type === "object"){
+            var properties = schema.properties || {} ;
+            (schema.required || []).forEach(function(k){
+                if(value[k] === undefined){
+                    errors.push({ field: field+"."+k, message: "is required" }) ;
+                }
+            }) ;
+            Object.keys(value).forEach(function(k){
+                if(properties[k]){
+                    validateValue(value[k], properties[k], field+"."+k, errors) ;
+                }else if(schema.additionalProperties === false){
+                    errors.push({ field: field+"."+k, message: "is not allowed", value: value[k] }) ;
+                }
+            }) ;
+        }
+    }
 
-        this[funcToCall](url, method, data, dataEncoding, callback, timeout) ;
+    /**
+     * Check if responses should be validated against the end points response schemas
+     * 
+     * @return {boolean} true if responses should be validated
+     */
+    VeloxServiceClient.prototype._shouldValidateResponses = function(){
+        if(this.options.validateResponses !== undefined){
+            return this.options.validateResponses ;
+        }
+        return !!this.options.testMode ;
     } ;
 
-
     /**
      * @typedef VeloxServiceClientEndPointDefinition
      * @type {object}
-     * @property {string} endpoint the serveur end point without heading slash (ex: "myservercall", "foo/create")
-     * @property {string} method the HTTP method to use (POST, PUT, GET, DELETE)
+     * @property {string} endpoint the serveur end point without heading slash (ex: "myservercall", "foo/create", "users/{id}/orders")
+     * @property {string} method the HTTP method to use (GET, POST, PUT, PATCH, DELETE, HEAD or OPTIONS)
+     * @property {string} [name] the function name (ex: "users/remove" for api.users.remove) (default : the end point without the path placeholders)
      * @property {string} [dataEncoding] data encoding for ajax calls : form for formdata, json for json payload (default : from options)
-     * @property {Array} [args] the arguments definition
+     * @property {Array} [args] the arguments definition, each argument is a name or an object : 
+     *      - name : the argument name
+     *      - optional : true if the argument is optional
+     *      - type : the argument type (string, number, integer, boolean, object, array or date), the call fails with a
+     *              VeloxServiceValidationError if the value has not this type. Dates are sent as ISO strings
+     *      - schema : a JSON schema the argument value must match (instead of type)
+     *      - in : where to send the argument : path (replace the {name} placeholder of the end point, default for arguments named as a placeholder), 
+     *              query (in query string), body (the argument value is the data object, sent as query string for GET)
+     * @property {number} [timeout] timeout in ms of the calls to this end point (default : from options)
+     * @property {VeloxServiceRetryPolicy|boolean} [retry] retry policy of the calls to this end point (default : from options)
+     * @property {object} [responseSchema] JSON schema of the response, checked if validateResponses option is true
+     * @property {boolean|number} [cache] cache the responses of this GET end point, true to use the default TTL or a TTL in ms (default : no cache)
+     * @property {Array} [invalidates] end point URL prefixes (on the server of this end point) or regexp (receiving the cache key server:url?query) 
+     *  of the cached responses to remove when a call to this end point succeed
+     * @property {boolean} [batch] true to send the calls to this end point in batch requests, false to never batch them (default : from batch options)
+     * @property {string} [server] the name of the server profile to call (default : the serverUrl)
+     * @property {boolean} [offline] queue the calls to this end point when the network is not available and replay them
+     *  when it comes back, for POST, PUT, PATCH and DELETE end points (needs the offline extension, see VeloxServiceClientOffline)
+     * @property {string} [sendMethod] how to send the request : ajax, download (see download) or post (legacy form post) (default : ajax)
+     * @property {VeloxServiceDownloadOptions} [download] download options of end points having download send method
+     * @property {VeloxServiceUploadOptions|boolean} [upload] upload the file given in data by chunks (see upload), 
+     *  the call options given with withOptions are added to these upload options
      */
 
     /**
      * Add many end points to this service client API
      * 
+     * Registering 2 end points having the same function name throws an error (see addEndPoint)
+     * 
      * @example
      * api.addEndPoints([
      *      {endpoint: "foo", method: "POST"}, //will be accessible as api.foo(callback) or api.foo({..data..}, callback)
      *      {endpoint: "bar/create", method: "PUT"}, //will be accessible as api.bar.create({...}, callback)
      *      {endpoint: "some/complex/entry", method: "POST", args: [ {name: "foo"}, {name: "bar", optional: true} ]}
      *              //will be accessible as api.some.complex.entry(myFoo, myBar, callback) or api.some.complex.entry(myFoo, callback)
-     *              //but api.some.complex.entry(callback) will throw an exception because missing non optional argument
+     *              //but api.some.complex.entry(callback) will give a VeloxServiceValidationError because missing non optional argument
+     *      {endpoint: "users/{id}/orders/{orderId}", method: "GET", args: ["id", "orderId", {name: "status", optional: true}]}
+     *              //will be accessible as api.users.orders(userId, orderId, status, callback)
+     *              //id and orderId are put in the URL, status in query string
+     *              //without args, the path arguments and 1 optional data argument are accepted : api.users.orders(userId, orderId, {status: ...}, callback)
+     *      {endpoint: "reports/{id}", method: "GET", server: "reports"},
+     *              //called on the reports server profile (servers option or addServer)
+     *      {endpoint: "users", method: "GET"}, {endpoint: "users/{id}", method: "DELETE", name: "users/remove"}
+     *              //both would be api.users, the name option gives api.users(callback) and api.users.remove(id, callback)
      * ]);
      * 
+     * //if no callback is given, the end point function return a Promise
+     * var result = await api.some.complex.entry(myFoo) ;
+     * 
+     * //call options (timeout, abort signal) can be given for a single call
+     * var result = await api.some.complex.entry.withOptions({timeout: 5000, signal: controller.signal})(myFoo) ;
+     * 
      * @param {VeloxServiceClientEndPointDefinition[]} endPoints the end points definitions
      */
     VeloxServiceClient.prototype.addEndPoints = function(endPoints){
         endPoints.forEach(function(endPoint){
             if(!endPoint.endpoint){
-                throw "Your endpoint definition miss endpoint option" ;
+                throw new VeloxServiceError("Your endpoint definition miss endpoint option") ;
             }
             if(!endPoint.method){
-                throw "Your endpoint "+endPoint.endpoint+" definition miss method option" ;
+                throw new VeloxServiceError("Your endpoint "+endPoint.endpoint+" definition miss method option") ;
             }
-            if(["GET", "POST", "PUT", "DELETE"].indexOf(endPoint.method.toUpperCase()) === -1){
-                throw "Your endpoint "+endPoint.endpoint+" definition method option is incorrect (expecting: GET, POST, PUT or DELETE" ;
+            if(["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"].indexOf(endPoint.method.toUpperCase()) === -1){
+                throw new VeloxServiceError("Your endpoint "+endPoint.endpoint+" definition method option is incorrect (expecting: GET, POST, PUT, PATCH, DELETE, HEAD or OPTIONS)") ;
             }
-            this.addEndPoint(endPoint.endpoint, endPoint.method, endPoint.sendMethod||"ajax", endPoint.dataEncoding, endPoint.responseEncoding, endPoint.args) ;
+            this.addEndPoint(endPoint.endpoint, endPoint.method, endPoint.sendMethod||"ajax", endPoint.dataEncoding, endPoint.responseEncoding, endPoint.args, endPoint) ;
         }.bind(this)) ;
     } ;
 
     /**
      * Add an end point function to this service client API
      * 
+     * Registering 2 end points having the same function name (ex: users and users/{id}) throws an error, 
+     * use the name option to give them different names. The name of a client method used by the client itself (ajax, post, 
+     * init...) throws an error too, the other methods (upload, download, batch, on...) are hidden on this client by the end point
+     * 
      * @example
      * api.addEndPoint("foo", "POST"); //will be accessible as api.foo(callback) or api.foo({..data..}, callback)
      * api.addEndPoint("bar/create", "PUT"); //will be accessible as api.bar.create({...}, callback)
      * api.addEndPoint("some/complex/entry", "POST", 
      *        [ {name: "foo"}, {name: "bar", optional: true} ])
      * //will be accessible as api.some.complex.entry(myFoo, myBar, callback) or api.some.complex.entry(myFoo, callback)
-     * //but api.some.complex.entry(callback) will throw an exception because missing non optional argument
+     * //but api.some.complex.entry(callback) will give a VeloxServiceValidationError because missing non optional argument
+     * api.addEndPoint("users/{id}/orders/{orderId}", "GET", ["id", "orderId"]); 
+     * //will be accessible as api.users.orders(userId, orderId, callback), the values are put in the URL
      * 
-     * @param {string} endpoint the serveur end point without heading slash (ex: "myservercall", "foo/create")
+     * @param {string} endpoint the serveur end point without heading slash (ex: "myservercall", "foo/create", "users/{id}")
      * @param {string} method the HTTP method to use (POST, PUT, GET, DELETE)
-     * @param {string} [sendMethod] how to send the request (ajax or post)
+     * @param {string} [sendMethod] how to send the request : ajax, download (see download) or post (legacy form post)
      * @param {string} [dataEncoding] data encoding for ajax calls : form for formdata, json for json payload (default : from options)
      * @param {string} [responseEncoding] data encoding for ajax calls : text, blob or arraybuffer (default: text)
      * @param {Array} [args] the arguments definition
+     * @param {VeloxServiceClientEndPointDefinition} [endPointOptions] other end point options (timeout, retry, cache...)
      */
-    VeloxServiceClient.prototype.addEndPoint = function (endpoint, method, sendMethod, dataEncoding, responseEncoding, args) {
-        this._registerEndPointFunction(endpoint, this._createEndPointFunction(endpoint, method, sendMethod, dataEncoding, responseEncoding, args)) ;
+    VeloxServiceClient.prototype.addEndPoint = function (endpoint, method, sendMethod, dataEncoding, responseEncoding, args, endPointOptions) {
+        this._registerEndPointFunction((endPointOptions && endPointOptions.name) || endpoint, this._createEndPointFunction(endpoint, method, sendMethod, dataEncoding, responseEncoding, args, endPointOptions)) ;
     } ;
 
+    /**
+     * Methods of the client that the end points can't hide : they are called by the client and its extensions
+     */
+    var CLIENT_METHODS = ["init", "use", "destroy", "addServer", "getServer", "createUrl", "addAjaxInterceptor", "removeAjaxInterceptor",
+        "addRequestInterceptor", "removeRequestInterceptor", "setDebug", "exportRecording", "ajax", "post", "addEndPoints", "addEndPoint"] ;
+
+    /**
+     * Check if an end point can use a name, the properties of the client and of its extensions are refused
+     * 
+     * @param {VeloxServiceClient} client the client
+     * @param {object} parent the object receiving the end point (the client or an end point container)
+     * @param {string} name the name
+     * @return {boolean} true if the name can be used
+     */
+    function isFreeEndPointName(client, parent, name){
+        if(parent[name] === undefined){
+            return true ;
+        }
+        if(Object.prototype.hasOwnProperty.call(parent, name)){
+            return false ;
+        }
+        if(parent !== client){
+            return true ;
+        }
+        //a prototype method, only the methods that the client doesn't call can be hidden
+        return name[0] !== "_" && CLIENT_METHODS.indexOf(name) === -1 && !client._keyOwners[name] ;
+    }
+
+    /**
+     * Register the end point function under its name (ex: users/orders is api.users.orders)
+     * 
+     * Throws if the name is already used by another end point or by the client (see addEndPoint)
+     * 
+     * @param {string} endpoint the end point or the function name
+     * @param {function} fun the end point function
+     */
     VeloxServiceClient.prototype._registerEndPointFunction = function(endpoint, fun){
-        var splittedEndPoint = endpoint.split("/") ;
+        var splittedEndPoint = getEndPointNameParts(endpoint) ;
+        if(splittedEndPoint.length === 0){
+            throw new VeloxServiceError("Error in endpoint definition, no function name for "+endpoint) ;
+        }
+        var members = this._endPointMembers ;
         var currentThis = this;
         for(var i=0; i< splittedEndPoint.length - 1; i++){
-            if(!this[splittedEndPoint[i]]){
-                this[splittedEndPoint[i]] = {};
+            if(members.indexOf(currentThis[splittedEndPoint[i]]) === -1){
+                if(!isFreeEndPointName(this, currentThis, splittedEndPoint[i])){
+                    throw new VeloxServiceError("Error in endpoint definition, the name "+splittedEndPoint.slice(0, i+1).join(".")+
+                        " of "+endpoint+" is already used by the client") ;
+                }
+                currentThis[splittedEndPoint[i]] = {};
+                members.push(currentThis[splittedEndPoint[i]]) ;
+            }
+            currentThis = currentThis[splittedEndPoint[i]] ;
+        }
+        var boundFun = fun.bind(this) ;
+        Object.keys(fun).forEach(function(k){
+            //keep the function properties (withOptions...)
+            boundFun[k] = fun[k] ;
+        }) ;
+        var name = splittedEndPoint[splittedEndPoint.length-1] ;
+        var existing = currentThis[name] ;
+        var isEndPointMember = members.indexOf(existing) !== -1 ;
+        if(isEndPointMember ? typeof(existing) === "function" : !isFreeEndPointName(this, currentThis, name)){
+            throw new VeloxServiceError("Error in endpoint definition, the name "+splittedEndPoint.join(".")+" of "+endpoint+
+                " is already used"+(isEndPointMember ? " by another end point" : " by the client")+", use the name option to give it another name") ;
+        }
+        if(isEndPointMember){
+            //keep the sub end points already registered (ex: users.orders registered before users)
+            Object.keys(existing).forEach(function(k){
+                if(boundFun[k] === undefined){
+                    boundFun[k] = existing[k] ;
+                }
+            }) ;
+        }
+        currentThis[name] = boundFun ;
+        members.push(boundFun) ;
+    } ;
+
+    /**
+     * Remove an end point function registered with _registerEndPointFunction, its sub end points are kept
+     * 
+     * @param {string} endpoint the end point or the function name
+     */
+    VeloxServiceClient.prototype._unregisterEndPointFunction = function(endpoint){
+        var splittedEndPoint = getEndPointNameParts(endpoint) ;
+        var members = this._endPointMembers ;
+        var parent = this ;
+        for(var i=0; i< splittedEndPoint.length - 1; i++){
+            parent = parent[splittedEndPoint[i]] ;
+            if(members.indexOf(parent) === -1){
+                return ;
             }
-            currentThis = this[splittedEndPoint[i]] ;
         }
-        currentThis[splittedEndPoint[splittedEndPoint.length-1]] = fun.bind(this) ;
+        var name = splittedEndPoint[splittedEndPoint.length-1] ;
+        var fun = parent[name] ;
+        if(typeof(fun) !== "function" || members.indexOf(fun) === -1){
+            return ;
+        }
+        members.splice(members.indexOf(fun), 1) ;
+        var subEndPoints = Object.keys(fun).filter(function(k){
+            return members.indexOf(fun[k]) !== -1 ;
+        }) ;
+        if(subEndPoints.length > 0){
+            var container = {} ;
+            subEndPoints.forEach(function(k){
+                container[k] = fun[k] ;
+            }) ;
+            parent[name] = container ;
+            members.push(container) ;
+        }else{
+            delete parent[name] ;
+        }
     } ;
 
-    VeloxServiceClient.prototype._createEndPointFunction = function(endpoint, method, sendMethod, dataEncoding, responseEncoding, args){
+    /**
+     * Get the parts of the function name of an end point
+     * 
+     * The path placeholders ({id}) are not part of the function name : users/{id}/orders is api.users.orders
+     * 
+     * @param {string} endpoint the end point or the function name
+     * @return {string[]} the name parts (ex: ["users", "orders"])
+     */
+    function getEndPointNameParts(endpoint){
+        return endpoint.split("/").filter(function(part){
+            return part && !PATH_PLACEHOLDER_PART.test(part) ;
+        }) ;
+    }
+
+    var PATH_PLACEHOLDER = /\{([^}]+)\}/g ;
+    var PATH_PLACEHOLDER_PART = /^\{[^}]*\}$/ ;
+
+    /**
+     * Get the path placeholders names of an end point
+     * 
+     * @param {string} endpoint the end point (ex: users/{id}/orders/{orderId})
+     * @return {string[]} the placeholders names (ex: ["id", "orderId"])
+     */
+    function getPathPlaceholders(endpoint){
+        var placeholders = [] ;
+        endpoint.replace(PATH_PLACEHOLDER, function(placeholder, name){
+            placeholders.push(name) ;
+        }) ;
+        return placeholders ;
+    }
+
+    VeloxServiceClient.prototype._createEndPointFunction = function(endpoint, method, sendMethod, dataEncoding, responseEncoding, args, endPointOptions){
         if(Array.isArray(sendMethod)){
             args = sendMethod ;
             sendMethod = "ajax";
@@ -465,61 +4396,208 @@
             sendMethod = "ajax";
         }
 
+        var placeholders = getPathPlaceholders(endpoint) ;
+
         if(!args){
-            //if no args defined, accept 1 optional argument
-            args = [
-                { optional: true }
-            ] ;
+            if(placeholders.length > 0){
+                //if no args defined, accept the path arguments then 1 optional data argument
+                args = placeholders.concat([ { name: "data", in: "body", optional: true } ]) ;
+            }else{
+                //if no args defined, accept 1 optional argument
+                args = [
+                    { optional: true }
+                ] ;
+            }
         }
 
         args = args.map(function(a){
             if(typeof(a) === "string"){
-                return { name : a } ;
+                a = { name : a } ;
+            }
+            if(!a.in && placeholders.indexOf(a.name) !== -1){
+                //the argument fills the {name} placeholder of the end point
+                var pathArg = { in: "path" } ;
+                Object.keys(a).forEach(function(k){
+                    pathArg[k] = a[k] ;
+                }) ;
+                return pathArg ;
             }
             return a;
         });
 
+        placeholders.forEach(function(placeholder){
+            var hasArg = args.some(function(arg){
+                return arg.name === placeholder && arg.in === "path" ;
+            }) ;
+            if(!hasArg){
+                throw new VeloxServiceError("Error in endpoint definition, no argument is defined for placeholder {"+placeholder+"} of "+endpoint) ;
+            }
+        }) ;
+
         var hasOptional = false;
         args.forEach(function(arg, i){
             if(!arg.name && i>0){
-                throw "Error in endpoint definition, if you don't give name to one argument, you can't have many arguments" ;
+                throw new VeloxServiceError("Error in endpoint definition, if you don't give name to one argument, you can't have many arguments") ;
             }
             if(arg.optional){
                 hasOptional ;
             }
             if(!arg.optional && hasOptional){
-                throw "Error in endpoint definition, only the last arguments can be optionals" ;
+                throw new VeloxServiceError("Error in endpoint definition, only the last arguments can be optionals") ;
             }
         }) ;
 
-        return function(){
-            var receivedArgs = Array.prototype.slice.call(arguments) ;
-            var callback = receivedArgs[receivedArgs.length-1] ;
-            if(!callback){
-                throw "You must give a callback to service endpoint call ("+endpoint+")" ;
+        if(!endPointOptions || !endPointOptions.endpoint){
+            //the definition given in call options (endPoint) always has the end point and method
+            var definition = { endpoint: endpoint, method: method } ;
+            Object.keys(endPointOptions || {}).forEach(function(k){
+                definition[k] = endPointOptions[k] ;
+            }) ;
+            endPointOptions = definition ;
+        }
+        if(endPointOptions.server && !this._servers[endPointOptions.server]){
+            throw new VeloxServiceError("Error in endpoint definition, unknown server "+endPointOptions.server+" of "+endpoint) ;
+        }
+
+        var callEndPoint = function(receivedArgs, callOptions){
+            var callback = null ;
+            if(typeof(receivedArgs[receivedArgs.length-1]) === "function"){
+                callback = receivedArgs.pop() ;
             }
             var data = {} ;
+            var pathValues = {} ;
+            var query = null ;
+            var validationErrors = [] ;
+            var missingError = null ;
             args.forEach(function(arg, i){
-                if(i < receivedArgs.length-1){
+                if(i < receivedArgs.length){
                     var value = receivedArgs[i] ;
-                    if(arg.name){
+                    var schema = getArgSchema(arg) ;
+                    if(schema && !(arg.optional && (value === undefined || value === null))){
+                        value = coerceValue(value, schema) ;
+                        validateValue(value, schema, arg.name || "data", validationErrors) ;
+                    }
+                    if(arg.in === "path"){
+                        pathValues[arg.name] = value ;
+                    }else if(arg.in === "query" && method !== "GET"){
+                        if(value !== undefined){
+                            query = query || {} ;
+                            query[arg.name] = value ;
+                        }
+                    }else if(arg.in === "body" && dataEncoding !== "raw" && value && typeof(value) === "object" && !Array.isArray(value)){
+                        Object.keys(value).forEach(function(k){
+                            data[k] = value[k] ;
+                        }) ;
+                    }else if(arg.name && arg.in !== "body"){
                         data[arg.name] = value ;
                     }else{
                         data = value ;
                     }
-                } else {
-                    if(!arg.optional){
-                        throw "Missing argument "+arg.name+" to service endpoint call ("+endpoint+")" ;
-                    }
+                } else if(!arg.optional && !missingError){
+                    missingError = new VeloxServiceValidationError("Missing argument "+arg.name+" to service endpoint call ("+endpoint+")", 
+                        { url: endpoint, method: method, errors: [ { field: arg.name || "data", message: "is required" } ] }) ;
                 }
             }) ;
 
+            if(!missingError){
+                placeholders.some(function(name){
+                    if(pathValues[name] === undefined || pathValues[name] === null){
+                        missingError = new VeloxServiceValidationError("Missing argument "+name+" to service endpoint call ("+endpoint+")", 
+                            { url: endpoint, method: method, errors: [ { field: name, message: "is required" } ] }) ;
+                        return true ;
+                    }
+                    return false ;
+                }) ;
+            }
+            if(missingError){
+                return callbackOrPromise(callback, function(cb){
+                    cb(missingError) ;
+                }) ;
+            }
+
+            if(validationErrors.length > 0){
+                var validationError = new VeloxServiceValidationError("Invalid arguments to service endpoint call ("+endpoint+") : "+
+                    validationErrors.map(function(e){ return e.field+" "+e.message ; }).join(", "), 
+                    { url: endpoint, method: method, errors: validationErrors }) ;
+                return callbackOrPromise(callback, function(cb){
+                    cb(validationError) ;
+                }) ;
+            }
+
+            var url = endpoint.replace(PATH_PLACEHOLDER, function(placeholder, name){
+                return encodeURIComponent(pathValues[name]) ;
+            }) ;
+
             if(sendMethod === "post"){
-                return this.post(endpoint, method, data, dataEncoding, callback) ;
+                var postOptions = { server: endPointOptions.server } ;
+                Object.keys(callOptions||{}).forEach(function(k){
+                    postOptions[k] = callOptions[k] ;
+                }) ;
+                return this.post(url, method, data, dataEncoding, callback, endPointOptions.timeout, postOptions) ;
+            }else if(sendMethod === "download"){
+                var downloadOptions = { timeout: endPointOptions.timeout, retry: endPointOptions.retry, query: query, server: endPointOptions.server } ;
+                [endPointOptions.download, callOptions].forEach(function(options){
+                    if(options && typeof(options) === "object"){
+                        Object.keys(options).forEach(function(k){
+                            downloadOptions[k] = options[k] ;
+                        }) ;
+                    }
+                }) ;
+                //not this.download, it may be hidden by an end point named download
+                return VeloxServiceClient.prototype.download.call(this, url, method, data, dataEncoding, downloadOptions, callback) ;
+            }else if(endPointOptions.upload){
+                var uploadOptions = { timeout: endPointOptions.timeout, retry: endPointOptions.retry, server: endPointOptions.server } ;
+                [endPointOptions.upload, callOptions].forEach(function(options){
+                    if(options && typeof(options) === "object"){
+                        Object.keys(options).forEach(function(k){
+                            uploadOptions[k] = options[k] ;
+                        }) ;
+                    }
+                }) ;
+                return VeloxServiceClient.prototype.upload.call(this, url, method, data, uploadOptions, callback) ;
             }else{
-                return this.ajax(endpoint, method, data, dataEncoding, responseEncoding, callback) ;
+                var endPointCallOptions = { timeout: endPointOptions.timeout, retry: endPointOptions.retry, 
+                    cache: endPointOptions.cache, invalidates: endPointOptions.invalidates, batch: endPointOptions.batch, 
+                    server: endPointOptions.server, endPoint: endPointOptions, query: query } ;
+                Object.keys(callOptions||{}).forEach(function(k){
+                    endPointCallOptions[k] = callOptions[k] ;
+                }) ;
+                if(!endPointOptions.responseSchema || !this._shouldValidateResponses()){
+                    return this.ajax(url, method, data, dataEncoding, responseEncoding, endPointCallOptions, callback) ;
+                }
+                return callbackOrPromise(callback, function(cb){
+                    return this.ajax(url, method, data, dataEncoding, responseEncoding, endPointCallOptions, function(err, result){
+                        if(err){ return cb(err) ; }
+                        var responseErrors = [] ;
+                        validateValue(result, endPointOptions.responseSchema, "response", responseErrors) ;
+                        if(responseErrors.length > 0){
+                            return cb(new VeloxServiceValidationError("Invalid response of service endpoint call ("+endpoint+") : "+
+                                responseErrors.map(function(e){ return e.field+" "+e.message ; }).join(", "), 
+                                { url: url, method: method, body: result, errors: responseErrors })) ;
+                        }
+                        cb(null, result) ;
+                    }) ;
+                }.bind(this)) ;
             }
         }.bind(this) ;
+
+        var endPointFunction = function(){
+            return callEndPoint(Array.prototype.slice.call(arguments), null) ;
+        } ;
+
+        /**
+         * Get the end point function with specific call options
+         * 
+         * @param {VeloxServiceCallOptions} callOptions the call options
+         * @return {function} the end point function using these call options
+         */
+        endPointFunction.withOptions = function(callOptions){
+            return function(){
+                return callEndPoint(Array.prototype.slice.call(arguments), callOptions) ;
+            } ;
+        } ;
+
+        return endPointFunction ;
     } ;
 
     /**
@@ -527,30 +4605,143 @@
      */
     VeloxServiceClient.extensions = [];
 
+    //name of the extension that defined each global and prototype key
+    var globalKeyOwners = {} ;
+    var protoKeyOwners = {} ;
+
+    /**
+     * Check that the keys of an extension can be defined on an object
+     * 
+     * Throw if a key is already defined by the client or another extension
+     * 
+     * @param {object} target the object receiving the keys
+     * @param {object} keys the keys to define
+     * @param {object} owners the name of the extension that defined each key of the target
+     * @param {object} extension the extension
+     */
+    function checkExtensionKeys(target, keys, owners, extension){
+        Object.keys(keys).forEach(function(key){
+            if(key in target && owners[key] !== extension.name){
+                throw new VeloxServiceError("Extension "+extension.name+" can't define "+key+", it is already defined by "+
+                    (owners[key] ? "extension "+owners[key] : "VeloxServiceClient")) ;
+            }
+        }) ;
+    }
+
+    /**
+     * Define the keys of an extension on an object
+     * 
+     * Throw if a key is already defined by the client or another extension, all keys are checked before any is defined
+     * 
+     * @param {object} target the object receiving the keys
+     * @param {object} keys the keys to define
+     * @param {object} owners the name of the extension that defined each key of the target
+     * @param {object} extension the extension
+     */
+    function defineExtensionKeys(target, keys, owners, extension){
+        checkExtensionKeys(target, keys, owners, extension) ;
+        Object.keys(keys).forEach(function(key){
+            target[key] = keys[key] ;
+            owners[key] = extension.name ;
+        }) ;
+    }
+
+    /**
+     * Get the keys an extension defines on the client instances
+     * 
+     * The instance keys are reserved with a null value, the extension sets them on init
+     * 
+     * @param {object} extension the extension
+     * @param {boolean} withProto true to add the extendsProto keys (extension used by a single client)
+     * @return {object} the keys and their values
+     */
+    function getInstanceKeys(extension, withProto){
+        var keys = {} ;
+        (extension.instanceKeys || []).forEach(function(key){
+            keys[key] = null ;
+        }) ;
+        [withProto ? extension.extendsProto : null, extension.extendsObj].forEach(function(source){
+            Object.keys(source||{}).forEach(function(key){
+                keys[key] = source[key] ;
+            }) ;
+        }) ;
+        return keys ;
+    }
+
+    /**
+     * Check an extension before adding it
+     * 
+     * @param {object[]} extensions the extensions already added
+     * @param {object} extension the extension to add
+     * @return {boolean} true if the extension should be added, false if it is already added
+     */
+    function checkNewExtension(extensions, extension){
+        if(!extension || !extension.name){
+            throw new VeloxServiceError("Extension must have a name") ;
+        }
+        var existing = extensions.filter(function(e){
+            return e.name === extension.name ;
+        })[0] ;
+        if(existing === extension){
+            return false ;
+        }
+        if(existing){
+            throw new VeloxServiceError("Another extension named "+extension.name+" is already registered") ;
+        }
+        return true ;
+    }
+
+    VeloxServiceClient.VeloxServiceError = VeloxServiceError ;
+    VeloxServiceClient.VeloxServiceNetworkError = VeloxServiceNetworkError ;
+    VeloxServiceClient.VeloxServiceTimeoutError = VeloxServiceTimeoutError ;
+    VeloxServiceClient.VeloxServiceAbortError = VeloxServiceAbortError ;
+    VeloxServiceClient.VeloxServiceHttpError = VeloxServiceHttpError ;
+    VeloxServiceClient.VeloxServiceValidationError = VeloxServiceValidationError ;
+    VeloxServiceClient.VeloxServiceMockMissingError = VeloxServiceMockMissingError ;
+
+    /**
+     * Run an asynchronous function with the given callback or return a Promise if no callback is given (to be used by the extensions)
+     * 
+     * @example
+     * MyExtension.prototype.doSomething = function(callback){
+     *      return VeloxServiceClient.callbackOrPromise(callback, function(cb){
+     *          this.client.ajax("something", "GET", cb) ;
+     *      }.bind(this)) ;
+     * } ;
+     */
+    VeloxServiceClient.callbackOrPromise = callbackOrPromise ;
+
     /**
      * Register extensions
      * 
+     * The extension is added to all clients, use client.use(extension) to add it to a single client
+     * 
      * extension object should have : 
      *  name : the name of the extension
+     *  init : function(client, callback) called on client init
+     *  dependencies : names of the extensions that must be init before this one
+     *  destroy : function(client, callback) called on client destroy to release the extension resources
      *  extendsObj : object containing function to add to VeloxServiceClient instance
      *  extendsProto : object containing function to add to VeloxServiceClient prototype
      *  extendsGlobal : object containing function to add to VeloxServiceClient global object
+     *  instanceKeys : names of the keys the extension sets on the client instance on init (ex: ["auth"] for client.auth)
+     * 
+     * An extension can't define a key already defined by VeloxServiceClient or by another extension, 
+     * all keys are checked before any is defined
      * 
      * @param {object} extension - The extension to register
      */
     VeloxServiceClient.registerExtension = function (extension) {
-            VeloxServiceClient.extensions.push(extension);
-
-            if (extension.extendsProto) {
-                Object.keys(extension.extendsProto).forEach(function (key) {
-                        VeloxServiceClient.prototype[key] = extension.extendsProto[key];
-                });
-            }
-            if (extension.extendsGlobal) {
-                Object.keys(extension.extendsGlobal).forEach(function (key) {
-                        VeloxServiceClient[key] = extension.extendsGlobal[key];
-                });
+            if(!checkNewExtension(VeloxServiceClient.extensions, extension)){
+                //already registered
+                return ;
             }
+            checkExtensionKeys(VeloxServiceClient.prototype, extension.extendsProto || {}, protoKeyOwners, extension) ;
+            checkExtensionKeys(VeloxServiceClient.prototype, getInstanceKeys(extension, false), protoKeyOwners, extension) ;
+            checkExtensionKeys(VeloxServiceClient, extension.extendsGlobal || {}, globalKeyOwners, extension) ;
+            defineExtensionKeys(VeloxServiceClient.prototype, extension.extendsProto || {}, protoKeyOwners, extension) ;
+            defineExtensionKeys(VeloxServiceClient, extension.extendsGlobal || {}, globalKeyOwners, extension) ;
+            VeloxServiceClient.extensions.push(extension);
     };
 
 
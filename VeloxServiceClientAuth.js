@@ -0,0 +1,400 @@
+/*global define, module, require */
+; (function (global, factory) {
+        typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory(require("./VeloxServiceClient")) :
+        typeof define === 'function' && define.amd ? define(["VeloxServiceClient"], factory) :
+        global.VeloxServiceClientAuth = factory(global.VeloxServiceClient) ;
+}(this, (function (VeloxServiceClient) { 'use strict';
+
+    /**
+     * @typedef VeloxServiceAuthOptions
+     * @type {object}
+     * @property {VeloxServiceStorage} [storage] storage of the tokens (default : localStorage if available, memory otherwise)
+     * @property {string} [loginEndpoint] the login end point, receive the credentials (default : auth/login)
+     * @property {string} [refreshEndpoint] the refresh end point, receive {refreshToken} (default : auth/refresh)
+     * @property {string} [logoutEndpoint] the logout end point, called on logout if given (default : none)
+     * @property {string} [dataEncoding] data encoding of the auth end points calls (default : json)
+     * @property {string} [headerName] the header carrying the token (default : Authorization)
+     * @property {string} [scheme] the token scheme (default : Bearer)
+     * @property {function} [readTokens] function(responseBody) giving the VeloxServiceAuthTokens from the login and refresh responses
+     *  (default : read accessToken/access_token, refreshToken/refresh_token, expiresIn/expires_in)
+     * @property {function} [refresh] function(tokens, callback) doing the refresh instead of calling refreshEndpoint,
+     *  callback(err, newTokens)
+     * @property {Array} [exclude] URL prefixes (or regexp) of the calls that must not receive the token
+     * @property {number} [refreshBeforeExpiry] refresh the token this number of ms before it expires (default : 10000)
+     */
+
+    /**
+     * @typedef VeloxServiceAuthTokens
+     * @type {object}
+     * @property {string} accessToken the access token
+     * @property {string} [refreshToken] the refresh token
+     * @property {number} [expiresAt] the expiration time of the access token (timestamp in ms)
+     */
+
+    var STORAGE_KEY = "authTokens" ;
+
+    function defaultReadTokens(body){
+        if(!body || typeof(body) !== "object"){
+            return null ;
+        }
+        var accessToken = body.accessToken || body.access_token || body.token ;
+        if(!accessToken){
+            return null ;
+        }
+        var expiresIn = body.expiresIn || body.expires_in ;
+        return {
+            accessToken: accessToken,
+            refreshToken: body.refreshToken || body.refresh_token || null,
+            expiresAt: expiresIn ? new Date().getTime() + expiresIn * 1000 : null
+        } ;
+    }
+
+    function urlMatches(url, filter){
+        if(filter instanceof RegExp){
+            return filter.test(url) ;
+        }
+        return url.indexOf(filter) === 0 ;
+    }
+
+    /**
+     * Authentication of a client
+     *
+     * Keep the tokens in storage, add the access token to each request, refresh it once when a call is answered 401
+     * (the other calls wait for the refresh) then replay the calls with the new token
+     *
+     * Events (listen with on) : login (with the tokens), logout (with the reason : user, refreshFailed), refresh (with the new tokens)
+     *
+     * @constructor
+     *
+     * @param {VeloxServiceClient} client the client
+     * @param {VeloxServiceAuthOptions} options the auth options
+     */
+    function VeloxServiceAuth(client, options){
+        this.client = client ;
+        this.options = options ;
+        this.storage = options.storage ;
+        if(!this.storage){
+            this.storage = typeof(localStorage) !== "undefined" ?
+                VeloxServiceClient.storages.localStorage("velox_auth_") : VeloxServiceClient.storages.memory() ;
+        }
+        this.loginEndpoint = options.loginEndpoint || "auth/login" ;
+        this.refreshEndpoint = options.refreshEndpoint || "auth/refresh" ;
+        this.headerName = options.headerName || "Authorization" ;
+        this.scheme = options.scheme === undefined ? "Bearer" : options.scheme ;
+        this.readTokens = options.readTokens || defaultReadTokens ;
+        this.refreshBeforeExpiry = options.refreshBeforeExpiry === undefined ? 10000 : options.refreshBeforeExpiry ;
+        this.tokens = null ;
+        this.listeners = {} ;
+        //callbacks waiting for the running refresh
+        this.refreshWaiting = null ;
+        //the interceptors added to the client, removed on destroy
+        this.interceptors = {
+            request: this._interceptRequest.bind(this),
+            ajax: this._interceptResponse.bind(this)
+        } ;
+    }
+
+    /**
+     * Listen to an event
+     *
+     * @param {string} event the event name (login, logout, refresh)
+     * @param {function} listener the listener
+     */
+    VeloxServiceAuth.prototype.on = function(event, listener){
+        if(!this.listeners[event]){
+            this.listeners[event] = [] ;
+        }
+        this.listeners[event].push(listener) ;
+    } ;
+
+    /**
+     * Remove an event listener
+     *
+     * @param {string} event the event name
+     * @param {function} listener the listener
+     */
+    VeloxServiceAuth.prototype.off = function(event, listener){
+        this.listeners[event] = (this.listeners[event] || []).filter(function(l){
+            return l !== listener ;
+        }) ;
+    } ;
+
+    VeloxServiceAuth.prototype._emit = function(event, value){
+        (this.listeners[event] || []).slice().forEach(function(listener){
+            listener(value) ;
+        }) ;
+    } ;
+
+    /**
+     * Load the stored tokens
+     *
+     * @param {function} callback called when loaded
+     */
+    VeloxServiceAuth.prototype.load = function(callback){
+        this.storage.getItem(STORAGE_KEY, function(err, tokens){
+            if(err){ return callback(err) ; }
+            this.tokens = tokens || null ;
+            callback() ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Get the current tokens
+     *
+     * @return {VeloxServiceAuthTokens} the tokens or null if not authenticated
+     */
+    VeloxServiceAuth.prototype.getTokens = function(){
+        return this.tokens ;
+    } ;
+
+    /**
+     * Check if a token is available
+     *
+     * @return {boolean} true if authenticated
+     */
+    VeloxServiceAuth.prototype.isAuthenticated = function(){
+        return !!(this.tokens && this.tokens.accessToken) ;
+    } ;
+
+    /**
+     * Set the tokens (if the login is done by other means than the login end point)
+     *
+     * @param {VeloxServiceAuthTokens} tokens the tokens, null to remove them
+     * @param {function} [callback] called when stored
+     */
+    VeloxServiceAuth.prototype.setTokens = function(tokens, callback){
+        this.tokens = tokens || null ;
+        if(tokens){
+            this.storage.setItem(STORAGE_KEY, tokens, callback) ;
+        }else{
+            this.storage.removeItem(STORAGE_KEY, callback) ;
+        }
+    } ;
+
+    /**
+     * Login with the login end point
+     *
+     * @param {object} credentials the credentials sent to the login end point
+     * @param {function} [callback] called with (err, tokens), if not given a Promise is returned
+     * @return {Promise} a Promise if no callback is given
+     */
+    VeloxServiceAuth.prototype.login = function(credentials, callback){
+        return VeloxServiceClient.callbackOrPromise(callback, function(cb){
+            this.client.ajax(this.loginEndpoint, "POST", credentials, this.options.dataEncoding || "json",
+                { authRequest: true, retry: false, batch: false }, function(err, body){
+                if(err){ return cb(err) ; }
+                var tokens = this.readTokens(body) ;
+                if(!tokens){
+                    return cb(new VeloxServiceClient.VeloxServiceError("No token in login response",
+                        { url: this.loginEndpoint, method: "POST", body: body })) ;
+                }
+                this.setTokens(tokens) ;
+                this._emit("login", tokens) ;
+                cb(null, tokens) ;
+            }.bind(this)) ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Logout, remove the tokens (and call the logout end point if defined)
+     *
+     * @param {function} [callback] called when done, if not given a Promise is returned
+     * @return {Promise} a Promise if no callback is given
+     */
+    VeloxServiceAuth.prototype.logout = function(callback){
+        return VeloxServiceClient.callbackOrPromise(callback, function(cb){
+            var done = function(err){
+                this.setTokens(null) ;
+                this._emit("logout", "user") ;
+                cb(err) ;
+            }.bind(this) ;
+            if(!this.options.logoutEndpoint || !this.isAuthenticated()){
+                return done() ;
+            }
+            //the logout call has the token, it is removed after
+            this.client.ajax(this.options.logoutEndpoint, "POST", {}, this.options.dataEncoding || "json",
+                { retry: false, batch: false, authNoReplay: true }, done) ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Refresh the access token, the concurrent calls wait for the same refresh
+     *
+     * @param {function} callback called with (err, tokens)
+     */
+    VeloxServiceAuth.prototype.refresh = function(callback){
+        if(this.refreshWaiting){
+            return this.refreshWaiting.push(callback) ;
+        }
+        this.refreshWaiting = [callback] ;
+        var tokens = this.tokens ;
+        var done = function(err, newTokens){
+            var waiting = this.refreshWaiting ;
+            this.refreshWaiting = null ;
+            if(err || !newTokens){
+                err = err || new VeloxServiceClient.VeloxServiceError("No token in refresh response",
+                    { url: this.refreshEndpoint, method: "POST" }) ;
+                this.setTokens(null) ;
+                this._emit("logout", "refreshFailed") ;
+            }else{
+                if(!newTokens.refreshToken && tokens){
+                    //the refresh token is kept if the server does not give a new one
+                    newTokens.refreshToken = tokens.refreshToken ;
+                }
+                this.setTokens(newTokens) ;
+                this._emit("refresh", newTokens) ;
+            }
+            waiting.forEach(function(cb){
+                cb(err, err ? null : newTokens) ;
+            }) ;
+        }.bind(this) ;
+
+        if(!tokens || (!tokens.refreshToken && !this.options.refresh)){
+            return done(new VeloxServiceClient.VeloxServiceError("No refresh token available")) ;
+        }
+        if(this.options.refresh){
+            return this.options.refresh(tokens, done) ;
+        }
+        this.client.ajax(this.refreshEndpoint, "POST", { refreshToken: tokens.refreshToken }, this.options.dataEncoding || "json",
+            { authRequest: true, retry: false, batch: false }, function(err, body){
+            if(err){ return done(err) ; }
+            done(null, this.readTokens(body)) ;
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Check if a request should receive the token
+     *
+     * @param {object} request the request
+     * @return {boolean} true if the token should be added
+     */
+    VeloxServiceAuth.prototype._isAuthenticatedRequest = function(request){
+        if(request.callOptions && request.callOptions.authRequest){
+            return false ;
+        }
+        return !(this.options.exclude || []).some(function(filter){
+            return urlMatches(request.url, filter) ;
+        }) ;
+    } ;
+
+    VeloxServiceAuth.prototype._getHeaderValue = function(){
+        return this.scheme ? this.scheme+" "+this.tokens.accessToken : this.tokens.accessToken ;
+    } ;
+
+    /**
+     * Request interceptor adding the token, the requests wait during a refresh
+     */
+    VeloxServiceAuth.prototype._interceptRequest = function(request, next){
+        if(!this._isAuthenticatedRequest(request)){
+            return next() ;
+        }
+        var addToken = function(){
+            if(this.isAuthenticated()){
+                request.headers[this.headerName] = this._getHeaderValue() ;
+            }
+            next() ;
+        }.bind(this) ;
+        var tokens = this.tokens ;
+        var expired = tokens && tokens.expiresAt && tokens.refreshToken &&
+            new Date().getTime() > tokens.expiresAt - this.refreshBeforeExpiry ;
+        if(this.refreshWaiting || expired){
+            //the result of refresh is not checked, a failed refresh gives a logout and the call is sent without token
+            return this.refresh(addToken) ;
+        }
+        addToken() ;
+    } ;
+
+    /**
+     * Ajax interceptor refreshing the token on 401 and replaying the call
+     */
+    VeloxServiceAuth.prototype._interceptResponse = function(err, request, response, next){
+        var callOptions = request.callOptions || {} ;
+        if(err || !response || response.status !== 401 || callOptions.authReplay || callOptions.authNoReplay ||
+            !this._isAuthenticatedRequest(request) || !this.isAuthenticated()){
+            return next() ;
+        }
+        var replay = function(refreshErr){
+            if(refreshErr){
+                //can't refresh, give the 401 to the caller
+                return next() ;
+            }
+            var replayOptions = {} ;
+            Object.keys(callOptions).forEach(function(k){
+                replayOptions[k] = callOptions[k] ;
+            }) ;
+            replayOptions.authReplay = true ;
+            replayOptions.rawResponse = true ;
+            replayOptions.batch = false ;
+            this.client.ajax(request.url, request.method, request.data, request.dataEncoding, request.responseEncoding || "text",
+                replayOptions, function(replayErr, replayResponse){
+                if(replayErr instanceof VeloxServiceClient.VeloxServiceHttpError){
+                    return next({ status: replayErr.status, response: replayErr.body, headers: replayErr.headers, url: request.url }) ;
+                }
+                if(replayErr){
+                    //the original response is kept
+                    return next() ;
+                }
+                next(replayResponse) ;
+            }) ;
+        }.bind(this) ;
+        var usedToken = request.headers && request.headers[this.headerName] ;
+        if(usedToken && usedToken !== this._getHeaderValue()){
+            //the token has already been refreshed since this call was sent
+            return replay() ;
+        }
+        this.refresh(replay) ;
+    } ;
+
+    /**
+     * Authentication extension
+     *
+     * The options are read in the auth option of the client options
+     *
+     * @example
+     * VeloxServiceClient.registerExtension(VeloxServiceClientAuth) ;
+     * var api = new VeloxServiceClient({serverUrl: "...", auth: { loginEndpoint: "login" }}) ;
+     * api.init(function(){
+     *      api.auth.on("logout", function(reason){ ... show login screen ... }) ;
+     *      api.login({login: "...", password: "..."}, function(err){
+     *          //all calls have now the Authorization: Bearer ... header
+     *      }) ;
+     * }) ;
+     */
+    return {
+        name: "auth",
+        instanceKeys: ["auth"],
+        init: function(client, callback){
+            var auth = new VeloxServiceAuth(client, client.options.auth || {}) ;
+            client.auth = auth ;
+            client.addRequestInterceptor(auth.interceptors.request) ;
+            client.addAjaxInterceptor(auth.interceptors.ajax) ;
+            auth.load(callback) ;
+        },
+        destroy: function(client, callback){
+            client.removeRequestInterceptor(client.auth.interceptors.request) ;
+            client.removeAjaxInterceptor(client.auth.interceptors.ajax) ;
+            callback() ;
+        },
+        extendsProto: {
+            /**
+             * Login with the login end point of the auth extension
+             *
+             * @param {object} credentials the credentials sent to the login end point
+             * @param {function} [callback] called with (err, tokens), if not given a Promise is returned
+             * @return {Promise} a Promise if no callback is given
+             */
+            login: function(credentials, callback){
+                return this.auth.login(credentials, callback) ;
+            },
+            /**
+             * Logout (remove the tokens)
+             *
+             * @param {function} [callback] called when done, if not given a Promise is returned
+             * @return {Promise} a Promise if no callback is given
+             */
+            logout: function(callback){
+                return this.auth.logout(callback) ;
+            }
+        }
+    } ;
+})));
@@ -0,0 +1,443 @@
+/*global define, module, require */
+; (function (global, factory) {
+        typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory(require("./VeloxServiceClient")) :
+        typeof define === 'function' && define.amd ? define(["VeloxServiceClient"], factory) :
+        global.VeloxServiceClientOffline = factory(global.VeloxServiceClient) ;
+}(this, (function (VeloxServiceClient) { 'use strict';
+
+    /**
+     * @typedef VeloxServiceOfflineOptions
+     * @type {object}
+     * @property {VeloxServiceStorage} [storage] storage of the queue (default : localStorage if available, memory otherwise)
+     * @property {number} [replayInterval] if given, try to replay the queue every replayInterval ms while offline
+     * @property {function} [onQueued] called with the item when a call is queued
+     * @property {function} [onReplayed] called with the item and the result when a queued call is replayed
+     * @property {function} [onFailed] called with the item and the error when a queued call failed and is removed from the queue
+     * @property {function} [onConflict] called with (item, error, callback) when the server refuses a replayed call,
+     *      call callback with "drop" (default) to remove it from queue, "retry" to replay it again or "stop" to keep it and stop the replay. 
+     *      A replayed call failing on timeout is handled as a refused call as the server may have received it
+     * @property {number} [maxConflictRetries] maximum number of "retry" decisions for a call, it is then dropped (default : 3)
+     */
+
+    /**
+     * @typedef VeloxServiceOfflineItem
+     * @type {object}
+     * @property {string} id the item id
+     * @property {string} url the end point url
+     * @property {string} method the HTTP method
+     * @property {object} data the call data (must be JSON serializable)
+     * @property {string} dataEncoding the data encoding
+     * @property {string} responseEncoding the response encoding
+     * @property {string} server the server profile name
+     * @property {object} callOptions the call options used to replay the call (query, headers, timeout, retry, invalidates, end point definition)
+     * @property {number} conflictRetries the number of "retry" decisions done for this call
+     * @property {string} date the date the call was queued (ISO string)
+     */
+
+    var STORAGE_KEY = "offlineQueue" ;
+
+    var incItem = 0 ;
+    function createItemId(){
+        return new Date().getTime()+"_"+(incItem++) ;
+    }
+
+    function isSerializable(value){
+        return ["string", "number", "boolean"].indexOf(typeof(value)) !== -1 ;
+    }
+
+    /**
+     * Get the call options to keep with a queued call, only the JSON serializable options that build the request are kept
+     *
+     * @param {VeloxServiceCallOptions} callOptions the call options
+     * @return {object} the options to give on replay
+     */
+    function getReplayOptions(callOptions){
+        var options = {} ;
+        ["query", "headers", "timeout", "retry"].forEach(function(k){
+            if(callOptions[k] !== undefined && callOptions[k] !== null){
+                options[k] = callOptions[k] ;
+            }
+        }) ;
+        if(callOptions.invalidates){
+            options.invalidates = callOptions.invalidates.filter(isSerializable) ;
+        }
+        if(callOptions.endPoint){
+            //the end point definition without its functions and schemas
+            options.endPoint = {} ;
+            Object.keys(callOptions.endPoint).forEach(function(k){
+                if(isSerializable(callOptions.endPoint[k])){
+                    options.endPoint[k] = callOptions.endPoint[k] ;
+                }
+            }) ;
+        }
+        return options ;
+    }
+
+    /**
+     * Check if the call failed because the network is not available
+     *
+     * A timeout is not a network failure here : the server may have received the call, queuing it would send it twice
+     *
+     * @param {Error} err the call error
+     * @param {object} response the response
+     * @return {boolean} true on network failure
+     */
+    function isNetworkFailure(err, response){
+        if(err){
+            return err instanceof VeloxServiceClient.VeloxServiceNetworkError && 
+                !(err instanceof VeloxServiceClient.VeloxServiceTimeoutError) ;
+        }
+        return !response || response.status === 0 ;
+    }
+
+    /**
+     * Offline queue of a client
+     *
+     * The modification calls (POST, PUT, DELETE) to end points having the offline option are queued
+     * when the network is not available then replayed in order when it comes back
+     *
+     * @constructor
+     *
+     * @param {VeloxServiceClient} client the client
+     * @param {VeloxServiceOfflineOptions} options the offline options
+     */
+    function VeloxServiceOfflineQueue(client, options){
+        this.client = client ;
+        this.options = options ;
+        this.storage = options.storage ;
+        if(!this.storage){
+            this.storage = typeof(localStorage) !== "undefined" ?
+                VeloxServiceClient.storages.localStorage("velox_offline_") : VeloxServiceClient.storages.memory() ;
+        }
+        this.items = [] ;
+        this.online = typeof(navigator) === "undefined" || navigator.onLine !== false ;
+        this.replaying = false ;
+        this.replayTimer = null ;
+        this.stopped = false ;
+        //the replay has been stopped by a "stop" conflict decision
+        this.stalled = false ;
+        this.windowListeners = null ;
+        //the interceptors added to the client, removed on destroy
+        this.interceptors = null ;
+        this.maxConflictRetries = options.maxConflictRetries !== undefined ? options.maxConflictRetries : 3 ;
+    }
+
+    /**
+     * Load the persisted queue
+     *
+     * @param {function} callback called when loaded
+     */
+    VeloxServiceOfflineQueue.prototype.load = function(callback){
+        this.storage.getItem(STORAGE_KEY, function(err, items){
+            if(err){ return callback(err) ; }
+            this.items = items || [] ;
+            callback() ;
+        }.bind(this)) ;
+    } ;
+
+    VeloxServiceOfflineQueue.prototype._save = function(callback){
+        this.storage.setItem(STORAGE_KEY, this.items, callback) ;
+    } ;
+
+    /**
+     * Get the queued items
+     *
+     * @return {VeloxServiceOfflineItem[]} the queued items
+     */
+    VeloxServiceOfflineQueue.prototype.getItems = function(){
+        return this.items.slice() ;
+    } ;
+
+    /**
+     * Check if the client is considered as online
+     *
+     * @return {boolean} true if online
+     */
+    VeloxServiceOfflineQueue.prototype.isOnline = function(){
+        return this.online ;
+    } ;
+
+    /**
+     * Check if the replay is stalled : a replayed call has been refused by the server and onConflict decided to stop
+     *
+     * While stalled, the calls are sent to the server without waiting the queued calls (only queued when offline),
+     * the queue is replayed again on next replay call or when going online
+     *
+     * @return {boolean} true if stalled
+     */
+    VeloxServiceOfflineQueue.prototype.isStalled = function(){
+        return this.stalled ;
+    } ;
+
+    /**
+     * Set the network state, going online replay the queue
+     *
+     * @param {boolean} online true if online
+     */
+    VeloxServiceOfflineQueue.prototype.setOnline = function(online){
+        this.online = online ;
+        clearInterval(this.replayTimer) ;
+        this.replayTimer = null ;
+        if(this.stopped){
+            return ;
+        }
+        if(online){
+            this.replay() ;
+        }else if(this.options.replayInterval){
+            this.replayTimer = setInterval(function(){
+                this.replay() ;
+            }.bind(this), this.options.replayInterval) ;
+        }
+    } ;
+
+    /**
+     * Add a call to the queue
+     *
+     * @param {object} request the request to queue
+     * @return {VeloxServiceOfflineItem} the queued item
+     */
+    VeloxServiceOfflineQueue.prototype.enqueue = function(request){
+        var item = {
+            id: createItemId(),
+            url: request.url,
+            method: request.method,
+            data: request.data,
+            dataEncoding: request.dataEncoding,
+            responseEncoding: request.responseEncoding,
+            server: request.server || "default",
+            callOptions: getReplayOptions(request.callOptions || {}),
+            conflictRetries: 0,
+            date: new Date().toISOString()
+        } ;
+        this.items.push(item) ;
+        this._save() ;
+        if(this.options.onQueued){
+            this.options.onQueued(item) ;
+        }
+        return item ;
+    } ;
+
+    VeloxServiceOfflineQueue.prototype._remove = function(item){
+        var index = this.items.indexOf(item) ;
+        if(index !== -1){
+            this.items.splice(index, 1) ;
+            this._save() ;
+        }
+    } ;
+
+    /**
+     * Remove all queued calls
+     *
+     * @param {function} [callback] called when done
+     */
+    VeloxServiceOfflineQueue.prototype.clear = function(callback){
+        this.items = [] ;
+        this._save(callback) ;
+    } ;
+
+    /**
+     * Stop the queue (on client destroy), the running replay stops after the current call
+     */
+    VeloxServiceOfflineQueue.prototype.stop = function(){
+        this.stopped = true ;
+        clearInterval(this.replayTimer) ;
+        this.replayTimer = null ;
+    } ;
+
+    /**
+     * Replay the queued calls in order
+     *
+     * The replay stops on network failure or on "stop" conflict decision (see isStalled), the remaining calls stay in queue
+     *
+     * @param {function} [callback] called when the replay is done
+     */
+    VeloxServiceOfflineQueue.prototype.replay = function(callback){
+        if(!callback){
+            callback = function(){} ;
+        }
+        if(this.replaying || this.stopped){
+            return callback() ;
+        }
+        this.replaying = true ;
+        this.stalled = false ;
+        var done = function(err){
+            this.replaying = false ;
+            callback(err) ;
+        }.bind(this) ;
+
+        var replayNext = function(){
+            if(this.stopped){
+                return done() ;
+            }
+            var item = this.items[0] ;
+            if(!item){
+                if(!this.online){
+                    this.setOnline(true) ;
+                }
+                return done() ;
+            }
+            var replayInfo = { item: item, networkFailure: false } ;
+            var replayOptions = {} ;
+            Object.keys(item.callOptions || {}).forEach(function(k){
+                replayOptions[k] = item.callOptions[k] ;
+            }) ;
+            replayOptions.offlineReplay = replayInfo ;
+            replayOptions.server = item.server || "default" ;
+            var onReplayed = function(err, result){
+                if(!err){
+                    this._remove(item) ;
+                    if(this.options.onReplayed){
+                        this.options.onReplayed(item, result) ;
+                    }
+                    return replayNext() ;
+                }
+                if(replayInfo.networkFailure){
+                    //still offline, keep the remaining calls
+                    if(this.online){
+                        this.setOnline(false) ;
+                    }
+                    return done(err) ;
+                }
+                var decide = function(decision){
+                    if(decision === "retry"){
+                        item.conflictRetries = (item.conflictRetries || 0) + 1 ;
+                        if(item.conflictRetries <= this.maxConflictRetries){
+                            this._save() ;
+                            return replayNext() ;
+                        }
+                        //too many retries, drop it
+                    }
+                    if(decision === "stop"){
+                        //the server answered, the network is available
+                        this.online = true ;
+                        clearInterval(this.replayTimer) ;
+                        this.replayTimer = null ;
+                        this.stalled = true ;
+                        return done(err) ;
+                    }
+                    this._remove(item) ;
+                    if(this.options.onFailed){
+                        this.options.onFailed(item, err) ;
+                    }
+                    replayNext() ;
+                }.bind(this) ;
+                if(this.options.onConflict){
+                    return this.options.onConflict(item, err, decide) ;
+                }
+                decide("drop") ;
+            }.bind(this) ;
+            if(!this.client._servers[replayOptions.server]){
+                //the server profile has been removed since the call was queued
+                return onReplayed(new VeloxServiceClient.VeloxServiceError("Unknown server "+replayOptions.server+" of queued call to "+item.url,
+                    { url: item.url, method: item.method })) ;
+            }
+            this.client.ajax(item.url, item.method, item.data, item.dataEncoding, item.responseEncoding || "text", replayOptions, onReplayed) ;
+        }.bind(this) ;
+        replayNext() ;
+    } ;
+
+    /**
+     * Check if the request should be queued when offline
+     *
+     * @param {object} request the request
+     * @return {boolean} true if the request can be queued
+     */
+    function isQueueable(request){
+        var callOptions = request.callOptions || {} ;
+        return request.method !== "GET" && !callOptions.offlineReplay &&
+            !!(callOptions.endPoint && callOptions.endPoint.offline) ;
+    }
+
+    /**
+     * Offline extension
+     *
+     * Queue the modification calls done to end points defined with offline option when the network
+     * is not available and replay them when it comes back
+     *
+     * The options are read in the offline option of the client options
+     *
+     * @example
+     * VeloxServiceClient.registerExtension(VeloxServiceClientOffline) ;
+     * var api = new VeloxServiceClient({serverUrl: "...", offline: { onQueued: function(item){ ... } }}) ;
+     * api.addEndPoints([ {endpoint: "visits", method: "POST", offline: true} ]) ;
+     * api.init(function(){
+     *      api.visits({...}, function(err, result){
+     *          //when offline, result is {queued: true, id: ...}
+     *      }) ;
+     *      api.offlineQueue.getItems() ; //the queued calls
+     * }) ;
+     */
+    return {
+        name: "offline",
+        instanceKeys: ["offlineQueue"],
+        init: function(client, callback){
+            var queue = new VeloxServiceOfflineQueue(client, client.options.offline || {}) ;
+            client.offlineQueue = queue ;
+
+            var queuedResponse = function(request){
+                var item = queue.enqueue(request) ;
+                return {status: 202, response: {queued: true, id: item.id}, url: request.url} ;
+            } ;
+
+            queue.interceptors = {} ;
+            queue.interceptors.request = function(request, next){
+                //when offline or when calls are waiting in queue, queue the call to keep the calls order
+                if(isQueueable(request) && (!queue.isOnline() || (queue.items.length > 0 && !queue.isStalled()))){
+                    return next(null, queuedResponse(request)) ;
+                }
+                next() ;
+            } ;
+            client.addRequestInterceptor(queue.interceptors.request) ;
+
+            queue.interceptors.ajax = function(err, request, response, next){
+                if(!isNetworkFailure(err, response)){
+                    return next() ;
+                }
+                var replayInfo = request.callOptions && request.callOptions.offlineReplay ;
+                if(replayInfo){
+                    replayInfo.networkFailure = true ;
+                    return next() ;
+                }
+                if(isQueueable(request)){
+                    queue.setOnline(false) ;
+                    return next(queuedResponse(request), true) ;
+                }
+                next() ;
+            } ;
+            client.addAjaxInterceptor(queue.interceptors.ajax) ;
+
+            if(typeof(window) !== "undefined" && window.addEventListener){
+                queue.windowListeners = {
+                    online: function(){
+                        queue.setOnline(true) ;
+                    },
+                    offline: function(){
+                        queue.setOnline(false) ;
+                    }
+                } ;
+                window.addEventListener("online", queue.windowListeners.online) ;
+                window.addEventListener("offline", queue.windowListeners.offline) ;
+            }
+
+            queue.load(function(err){
+                if(err){ return callback(err) ; }
+                if(queue.isOnline() && queue.items.length > 0){
+                    queue.replay() ;
+                }
+                callback() ;
+            }) ;
+        },
+        destroy: function(client, callback){
+            var queue = client.offlineQueue ;
+            queue.stop() ;
+            client.removeRequestInterceptor(queue.interceptors.request) ;
+            client.removeAjaxInterceptor(queue.interceptors.ajax) ;
+            if(queue.windowListeners){
+                window.removeEventListener("online", queue.windowListeners.online) ;
+                window.removeEventListener("offline", queue.windowListeners.offline) ;
+                queue.windowListeners = null ;
+            }
+            callback() ;
+        }
+    } ;
+})));
@@ -0,0 +1,336 @@
+/*global define, module, require */
+; (function (global, factory) {
+        typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory(require("./VeloxServiceClient")) :
+        typeof define === 'function' && define.amd ? define(["VeloxServiceClient"], factory) :
+        global.VeloxServiceClientOpenApi = factory(global.VeloxServiceClient) ;
+}(this, (function (VeloxServiceClient) { 'use strict';
+
+    var SUPPORTED_METHODS = ["get", "post", "put", "patch", "delete", "head", "options"] ;
+    //the other operations of a path item, that can't be called by the client
+    var UNSUPPORTED_METHODS = ["trace"] ;
+
+    /**
+     * Resolve a local reference ({$ref: "#/components/schemas/..."}) in the spec
+     *
+     * @param {object} spec the OpenAPI document
+     * @param {object} obj the object that may be a reference
+     * @return {object} the referenced object or obj if it is not a reference
+     */
+    function resolveRef(spec, obj){
+        var seen = [] ;
+        while(obj && obj.$ref){
+            if(seen.indexOf(obj.$ref) !== -1 || obj.$ref.indexOf("#/") !== 0){
+                //circular or external reference, can't resolve
+                return {} ;
+            }
+            seen.push(obj.$ref) ;
+            obj = obj.$ref.substring(2).split("/").reduce(function(current, part){
+                return current ? current[part.replace(/~1/g, "/").replace(/~0/g, "~")] : undefined ;
+            }, spec) ;
+        }
+        return obj || {} ;
+    }
+
+    /**
+     * Resolve all local references of a schema
+     *
+     * @param {object} spec the OpenAPI document
+     * @param {object} schema the schema
+     * @param {string[]} [resolving] references being resolved (to stop on recursive schemas)
+     * @return {object} the schema without references
+     */
+    function resolveSchema(spec, schema, resolving){
+        resolving = resolving || [] ;
+        if(!schema || typeof(schema) !== "object"){
+            return schema ;
+        }
+        if(schema.$ref){
+            if(resolving.indexOf(schema.$ref) !== -1){
+                //recursive schema, accept anything
+                return {} ;
+            }
+            return resolveSchema(spec, resolveRef(spec, schema), resolving.concat([schema.$ref])) ;
+        }
+        var resolved = Array.isArray(schema) ? [] : {} ;
+        Object.keys(schema).forEach(function(k){
+            resolved[k] = resolveSchema(spec, schema[k], resolving) ;
+        }) ;
+        return resolved ;
+    }
+
+    /**
+     * Get the data encoding from the request body content types
+     *
+     * The bodies that are not JSON nor forms (ex: application/octet-stream) are sent raw
+     *
+     * @param {object} content the request body content
+     * @return {object} the data encoding and the schema of the body
+     */
+    function getRequestEncoding(content){
+        var types = Object.keys(content || {}) ;
+        var encodings = [
+            { encoding: "json", match: /json/ },
+            { encoding: "multipart", match: /^multipart\/form-data/ },
+            { encoding: "form", match: /^application\/x-www-form-urlencoded/ }
+        ] ;
+        var found = null ;
+        encodings.some(function(e){
+            return types.some(function(type){
+                if(e.match.test(type)){
+                    found = { encoding: e.encoding, schema: content[type].schema } ;
+                    return true ;
+                }
+            }) ;
+        }) ;
+        if(!found && types.length > 0){
+            found = { encoding: "raw", schema: null } ;
+        }
+        return found || { encoding: null, schema: null } ;
+    }
+
+    /**
+     * Get the base path of the end points from the first server of the spec (ex: https://example.com/api/v1 gives api/v1/)
+     *
+     * The server variables are replaced by their default value. No base path is used if the client server URL already ends with it
+     *
+     * @param {object} spec the OpenAPI document
+     * @param {string} serverUrl the client server URL
+     * @return {string} the base path (empty or ending with /)
+     */
+    function getBasePath(spec, serverUrl){
+        var server = (spec.servers || [])[0] ;
+        if(!server || !server.url){
+            return "" ;
+        }
+        var url = server.url.replace(/\{([^}]+)\}/g, function(placeholder, name){
+            var variable = server.variables && server.variables[name] ;
+            return variable && variable.default !== undefined ? variable.default : placeholder ;
+        }) ;
+        var path = url.replace(/^([a-z][a-z0-9+.-]*:)?\/\/[^/]*/i, "").replace(/^\.?\/+/, "").replace(/\/+$/, "") ;
+        if(!path){
+            return "" ;
+        }
+        if(("/"+serverUrl.replace(/\/+$/, "")).slice(-path.length-1) === "/"+path){
+            //the client is already configured with the base path
+            return "" ;
+        }
+        return path+"/" ;
+    }
+
+    /**
+     * Get the content of the success (2xx) response
+     *
+     * @param {object} responses the operation responses
+     * @return {object} the response content by content type
+     */
+    function getSuccessContent(responses){
+        var successCode = Object.keys(responses || {}).filter(function(code){
+            return /^2/.test(code) ;
+        })[0] ;
+        return successCode && responses[successCode].content ;
+    }
+
+    /**
+     * Get the response encoding from the success response content types
+     *
+     * @param {object} responses the operation responses
+     * @return {string} the response encoding (text or blob)
+     */
+    function getResponseEncoding(responses){
+        var content = getSuccessContent(responses) ;
+        var types = Object.keys(content || {}) ;
+        if(types.length === 0){
+            return "text" ;
+        }
+        var textual = types.some(function(type){
+            return /json|^text\/|xml/.test(type) ;
+        }) ;
+        return textual ? "text" : "blob" ;
+    }
+
+    function capitalize(str){
+        return str.charAt(0).toUpperCase()+str.substring(1) ;
+    }
+
+    /**
+     * Create the function name of an operation that has no operationId (ex: GET /users/{id} gives getUsersById)
+     *
+     * @param {string} method the HTTP method
+     * @param {string} path the operation path
+     * @return {string} the function name
+     */
+    function createOperationName(method, path){
+        return method + path.split("/").filter(function(part){
+            return !!part ;
+        }).map(function(part){
+            var param = /^\{(.+)\}$/.exec(part) ;
+            if(param){
+                return "By"+capitalize(param[1]) ;
+            }
+            return part.split(/[^a-zA-Z0-9]+/).map(capitalize).join("") ;
+        }).join("") ;
+    }
+
+    /**
+     * Get the JSON schema of the success response
+     *
+     * @param {object} spec the OpenAPI document
+     * @param {object} responses the operation responses
+     * @return {object} the JSON schema or null if the response is not JSON
+     */
+    function getResponseSchema(spec, responses){
+        var content = getSuccessContent(responses) || {} ;
+        var jsonType = Object.keys(content).filter(function(type){
+            return /json/.test(type) ;
+        })[0] ;
+        if(!jsonType || !content[jsonType].schema){
+            return null ;
+        }
+        return resolveSchema(spec, content[jsonType].schema) ;
+    }
+
+    /**
+     * Create the end point definitions from an OpenAPI 3 document
+     *
+     * Arguments are ordered as : path parameters, required query parameters, body, optional query parameters
+     *
+     * A document having TRACE operations throws an error as they can't be called (the browsers refuse them)
+     *
+     * @param {object} spec the OpenAPI document
+     * @param {string} [basePath] the base path added to the end points (ex: api/v1/)
+     * @return {Array} the end point definitions ({name, endpoint, method, dataEncoding, responseEncoding, args, responseSchema})
+     */
+    function createEndPointsFromSpec(spec, basePath){
+        var endPoints = [] ;
+        Object.keys(spec.paths || {}).forEach(function(path){
+            var pathItem = resolveRef(spec, spec.paths[path]) ;
+            UNSUPPORTED_METHODS.forEach(function(method){
+                if(pathItem[method]){
+                    throw new VeloxServiceClient.VeloxServiceError("Unsupported method "+method.toUpperCase()+" of OpenAPI operation "+path) ;
+                }
+            }) ;
+            SUPPORTED_METHODS.forEach(function(method){
+                var operation = pathItem[method] ;
+                if(!operation){ return ; }
+
+                var parameters = {} ;
+                (pathItem.parameters || []).concat(operation.parameters || []).forEach(function(param){
+                    param = resolveRef(spec, param) ;
+                    //operation parameters override the path ones
+                    parameters[param.in+":"+param.name] = param ;
+                }) ;
+
+                var pathArgs = [] ;
+                var requiredArgs = [] ;
+                var optionalArgs = [] ;
+                Object.keys(parameters).forEach(function(key){
+                    var param = parameters[key] ;
+                    var schema = resolveSchema(spec, param.schema) ;
+                    if(param.in === "path"){
+                        pathArgs.push({ name: param.name, in: "path", schema: schema }) ;
+                    }else if(param.in === "query"){
+                        (param.required ? requiredArgs : optionalArgs).push({ name: param.name, in: "query", optional: !param.required, schema: schema }) ;
+                    }
+                }) ;
+
+                var requestBody = resolveRef(spec, operation.requestBody) ;
+                var requestEncoding = getRequestEncoding(requestBody.content) ;
+                if(requestBody.content){
+                    var bodyArg = { name: "body", in: "body", optional: !requestBody.required, schema: resolveSchema(spec, requestEncoding.schema) } ;
+                    (requestBody.required ? requiredArgs : optionalArgs).push(bodyArg) ;
+                }
+
+                endPoints.push({
+                    name: operation.operationId || createOperationName(method, path),
+                    endpoint: (basePath || "") + path.replace(/^\//, ""),
+                    method: method.toUpperCase(),
+                    dataEncoding: requestEncoding.encoding,
+                    responseEncoding: getResponseEncoding(operation.responses),
+                    args: pathArgs.concat(requiredArgs, optionalArgs),
+                    responseSchema: getResponseSchema(spec, operation.responses)
+                }) ;
+            }) ;
+        }) ;
+        return endPoints ;
+    }
+
+    /**
+     * OpenAPI extension
+     *
+     * Register end points from an OpenAPI 3 JSON document
+     *
+     * If the openApi option is given in client options (the document or its URL), the end points are registered on init
+     *
+     * @example
+     * VeloxServiceClient.registerExtension(VeloxServiceClientOpenApi) ;
+     * var api = new VeloxServiceClient({serverUrl: "...", openApi: "openapi.json"}) ;
+     * api.init(function(){
+     *      //GET /users/{id} with operationId getUser is accessible as
+     *      api.getUser(id, function(err, user){ ... }) ;
+     * }) ;
+     *
+     * //or register from a document
+     * api.addEndPointsFromOpenApi(spec) ;
+     */
+    return {
+        name: "openApi",
+        instanceKeys: ["_openApiEndPoints"],
+        init: function(client, callback){
+            var openApi = client.options.openApi ;
+            if(!openApi){
+                return callback() ;
+            }
+            var addEndPoints = function(spec){
+                try{
+                    //kept to remove them on destroy
+                    client._openApiEndPoints = client.addEndPointsFromOpenApi(spec) ;
+                }catch(err){
+                    return callback(err) ;
+                }
+                callback() ;
+            } ;
+            if(typeof(openApi) === "object"){
+                return addEndPoints(openApi) ;
+            }
+            client.ajax(openApi, "GET", null, function(err, spec){
+                if(err){ return callback(err) ; }
+                if(typeof(spec) !== "object"){
+                    return callback(new VeloxServiceClient.VeloxServiceError("Invalid OpenAPI document "+openApi, {url: openApi, method: "GET", body: spec})) ;
+                }
+                addEndPoints(spec) ;
+            }) ;
+        },
+        destroy: function(client, callback){
+            (client._openApiEndPoints || []).forEach(function(name){
+                client._unregisterEndPointFunction(name) ;
+            }) ;
+            client._openApiEndPoints = null ;
+            callback() ;
+        },
+        extendsProto: {
+            /**
+             * Register the end points of an OpenAPI 3 document
+             *
+             * Each operation is accessible by its operationId (or method and path if no operationId, ex: getUsersById)
+             *
+             * The end points are relative to the path of the first server of the document (if the client server URL does not already end with it)
+             *
+             * @param {object} spec the OpenAPI document
+             * @param {string} [basePath] the base path of the end points, relative to the client server URL (default : from the document servers)
+             * @return {string[]} the names of the registered functions
+             */
+            addEndPointsFromOpenApi: function(spec, basePath){
+                if(basePath === undefined || basePath === null){
+                    basePath = getBasePath(spec, this.options.serverUrl) ;
+                }else if(basePath && basePath[basePath.length-1] !== "/"){
+                    basePath = basePath+"/" ;
+                }
+                return createEndPointsFromSpec(spec, basePath).map(function(endPoint){
+                    this._registerEndPointFunction(endPoint.name, this._createEndPointFunction(endPoint.endpoint, endPoint.method,
+                        "ajax", endPoint.dataEncoding, endPoint.responseEncoding, endPoint.args, endPoint)) ;
+                    return endPoint.name ;
+                }.bind(this)) ;
+            }
+        }
+    } ;
+})));
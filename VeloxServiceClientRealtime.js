@@ -0,0 +1,543 @@
+/*global define, module, require, WebSocket, EventSource */
+; (function (global, factory) {
+        typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory(require("./VeloxServiceClient")) :
+        typeof define === 'function' && define.amd ? define(["VeloxServiceClient"], factory) :
+        global.VeloxServiceClientRealtime = factory(global.VeloxServiceClient) ;
+}(this, (function (VeloxServiceClient) { 'use strict';
+
+    /**
+     * @typedef VeloxServiceRealtimeOptions
+     * @type {object}
+     * @property {string} [transport] websocket or sse (default : websocket if available, sse otherwise)
+     * @property {string} [endpoint] the realtime end point, relative to the server URL (default : realtime)
+     * @property {object} [reconnect] reconnection backoff : baseDelay (default 500ms), factor (default 2), maxDelay (default 30000ms),
+     *  jitter (default true), maxAttempts (default : no limit), false to disable the reconnection
+     * @property {string|string[]} [protocols] WebSocket sub protocols
+     * @property {function} [createSocket] function(url, transport, request) creating the WebSocket or EventSource
+     *  (default : the browser WebSocket or EventSource, give it to use a Node.js library)
+     */
+
+    /**
+     * @typedef VeloxServiceRealtimeMockChannel
+     * @type {object}
+     * @property {string} channel the channel name
+     * @property {Array} [messages] the messages sent to the subscribers when they subscribe (only once, not after a reconnection)
+     * @property {number} [latency] the delay in ms between the messages (default : 0)
+     */
+
+    var DEFAULT_RECONNECT = {
+        baseDelay: 500,
+        factor: 2,
+        maxDelay: 30000,
+        jitter: true,
+        maxAttempts: null
+    } ;
+
+    function parseMessage(data){
+        if(typeof(data) !== "string"){
+            return data ;
+        }
+        try{
+            return JSON.parse(data) ;
+        }catch(e){
+            return data ;
+        }
+    }
+
+    /**
+     * Create a WebSocket connection
+     *
+     * Messages are sent as JSON : {type: "subscribe", channel, params}, {type: "unsubscribe", channel}, {type: "publish", channel, data}
+     * and received as JSON : {channel, data}
+     *
+     * @param {string} url the URL to connect
+     * @param {object} request the connection request
+     * @param {VeloxServiceRealtimeOptions} options the realtime options
+     * @param {object} handlers the connection handlers ({onOpen, onMessage, onClose})
+     * @return {object} the connection ({send, close})
+     */
+    function createWebSocketConnection(url, request, options, handlers){
+        var socketUrl = url.replace(/^http(s?):/i, "ws$1:") ;
+        var socket = options.createSocket ? options.createSocket(socketUrl, "websocket", request) : new WebSocket(socketUrl, options.protocols) ;
+        socket.onopen = function(){
+            handlers.onOpen() ;
+        } ;
+        socket.onmessage = function(ev){
+            handlers.onMessage(parseMessage(ev.data)) ;
+        } ;
+        socket.onerror = function(ev){
+            handlers.onError(ev) ;
+        } ;
+        socket.onclose = function(){
+            handlers.onClose() ;
+        } ;
+        return {
+            oneWay: false,
+            send: function(message){
+                socket.send(JSON.stringify(message)) ;
+            },
+            close: function(){
+                socket.onclose = null ;
+                socket.close() ;
+            }
+        } ;
+    }
+
+    /**
+     * Create a Server-Sent Events connection
+     *
+     * The subscribed channels are given in the channels query parameter (coma separated), the connection is
+     * opened again when the subscriptions change. The events data are JSON : {channel, data}, or any data if the
+     * event name is the channel
+     *
+     * @param {string} url the URL to connect
+     * @param {object} request the connection request
+     * @param {VeloxServiceRealtimeOptions} options the realtime options
+     * @param {object} handlers the connection handlers ({onOpen, onMessage, onClose})
+     * @param {string[]} channels the subscribed channels
+     * @return {object} the connection ({send, close})
+     */
+    function createSseConnection(url, request, options, handlers, channels){
+        var sseUrl = url + (url.indexOf("?") === -1 ? "?" : "&") + "channels=" + encodeURIComponent(channels.join(",")) ;
+        var source = options.createSocket ? options.createSocket(sseUrl, "sse", request) : new EventSource(sseUrl, { withCredentials: true }) ;
+        var closed = false ;
+        source.onopen = function(){
+            handlers.onOpen() ;
+        } ;
+        source.onmessage = function(ev){
+            handlers.onMessage(parseMessage(ev.data)) ;
+        } ;
+        channels.forEach(function(channel){
+            source.addEventListener(channel, function(ev){
+                handlers.onMessage({ channel: channel, data: parseMessage(ev.data) }) ;
+            }) ;
+        }) ;
+        source.onerror = function(ev){
+            if(closed){ return ; }
+            handlers.onError(ev) ;
+            //don't use the EventSource reconnection to have the same backoff as WebSocket
+            closed = true ;
+            source.close() ;
+            handlers.onClose() ;
+        } ;
+        return {
+            oneWay: true,
+            send: function(){},
+            close: function(){
+                closed = true ;
+                source.close() ;
+            }
+        } ;
+    }
+
+    /**
+     * Create the mock connection used in test mode
+     *
+     * The messages of the mocked channels (testMocks.channels) are sent on subscribe, each message is delivered once
+     * by the mock : the subscriptions sent again after a reconnection only receive the messages not delivered yet
+     *
+     * @param {VeloxServiceRealtime} realtime the realtime client
+     * @param {object} handlers the connection handlers ({onOpen, onMessage, onClose})
+     * @return {object} the connection ({send, close})
+     */
+    function createMockConnection(realtime, handlers){
+        var timers = [] ;
+        var closed = false ;
+        var mock = realtime.mock ;
+        var channelMocks = (realtime.client.testMocks && realtime.client.testMocks.channels) || [] ;
+        var connection = {
+            oneWay: false,
+            send: function(message){
+                if(closed){ return ; }
+                mock.sent.push(message) ;
+                if(message.type !== "subscribe"){ return ; }
+                channelMocks.filter(function(m){
+                    return m.channel === message.channel ;
+                }).forEach(function(m){
+                    var delivered = mock.delivered[m.channel] || 0 ;
+                    (m.messages || []).slice(delivered).forEach(function(data, i){
+                        timers.push(setTimeout(function(){
+                            if((mock.delivered[m.channel] || 0) !== delivered+i){
+                                //already delivered (subscribed again before the delivery)
+                                return ;
+                            }
+                            mock.delivered[m.channel] = delivered+i+1 ;
+                            handlers.onMessage({ channel: m.channel, data: data }) ;
+                        }, (m.latency || 0) * (i+1))) ;
+                    }) ;
+                }) ;
+            },
+            close: function(){
+                closed = true ;
+                timers.forEach(clearTimeout) ;
+                mock.connection = null ;
+            },
+            emit: function(channel, data){
+                handlers.onMessage({ channel: channel, data: data }) ;
+            },
+            disconnect: function(){
+                connection.close() ;
+                handlers.onClose() ;
+            }
+        } ;
+        mock.connection = connection ;
+        timers.push(setTimeout(handlers.onOpen, 0)) ;
+        return connection ;
+    }
+
+    /**
+     * Realtime client, subscribe to channels through WebSocket or Server-Sent Events
+     *
+     * The connection is opened on the first subscription, goes through the request interceptors (they can add
+     * query parameters in request.data and headers, headers are only given to createSocket) and is opened again
+     * with a backoff when lost. The subscriptions are sent again after each reconnection
+     *
+     * Events (listen with on) : open, close, reconnecting (with the delay), error, message (with the message)
+     *
+     * @constructor
+     *
+     * @param {VeloxServiceClient} client the client
+     * @param {VeloxServiceRealtimeOptions} options the realtime options
+     */
+    function VeloxServiceRealtime(client, options){
+        this.client = client ;
+        this.options = options ;
+        this.transport = options.transport || (typeof(WebSocket) !== "undefined" || options.createSocket ? "websocket" : "sse") ;
+        this.endpoint = options.endpoint || "realtime" ;
+        this.reconnectPolicy = null ;
+        if(options.reconnect !== false){
+            this.reconnectPolicy = {} ;
+            Object.keys(DEFAULT_RECONNECT).forEach(function(k){
+                this.reconnectPolicy[k] = options.reconnect && options.reconnect[k] !== undefined ? options.reconnect[k] : DEFAULT_RECONNECT[k] ;
+            }.bind(this)) ;
+        }
+        this.subscriptions = {} ;
+        this.listeners = {} ;
+        this.messageInterceptors = [] ;
+        this.connection = null ;
+        this.state = "closed" ;
+        this.attempt = 0 ;
+        this.reconnectTimer = null ;
+        this.reopenTimer = null ;
+        //delivered : number of messages of each mocked channel already delivered
+        this.mock = { connection: null, sent: [], delivered: {} } ;
+    }
+
+    /**
+     * Listen to an event
+     *
+     * @param {string} event the event name (open, close, reconnecting, error, message)
+     * @param {function} listener the listener
+     */
+    VeloxServiceRealtime.prototype.on = function(event, listener){
+        if(!this.listeners[event]){
+            this.listeners[event] = [] ;
+        }
+        this.listeners[event].push(listener) ;
+    } ;
+
+    /**
+     * Remove an event listener
+     *
+     * @param {string} event the event name
+     * @param {function} listener the listener
+     */
+    VeloxServiceRealtime.prototype.off = function(event, listener){
+        this.listeners[event] = (this.listeners[event] || []).filter(function(l){
+            return l !== listener ;
+        }) ;
+    } ;
+
+    VeloxServiceRealtime.prototype._emit = function(event, value){
+        (this.listeners[event] || []).slice().forEach(function(listener){
+            listener(value) ;
+        }) ;
+    } ;
+
+    /**
+     * Add a message interceptor, called on each received message before the subscribers
+     *
+     * The interceptor receive the message ({channel, data}) and a next function : next() to continue,
+     * next(modifiedMessage) to replace the message, next(null, true) to drop it
+     *
+     * @param {function} interceptor the interceptor
+     */
+    VeloxServiceRealtime.prototype.addMessageInterceptor = function(interceptor){
+        this.messageInterceptors.push(interceptor) ;
+    } ;
+
+    /**
+     * Open the connection (done automatically on first subscription)
+     */
+    VeloxServiceRealtime.prototype.connect = function(){
+        if(this.state !== "closed"){
+            return ;
+        }
+        this.state = "connecting" ;
+        clearTimeout(this.reconnectTimer) ;
+        var request = { url: this.endpoint, method: "GET", data: {}, headers: {}, realtime: true, callOptions: {} } ;
+        this.client._runRequestInterceptors(request, function(err){
+            if(this.state !== "connecting"){
+                //closed while running interceptors
+                return ;
+            }
+            if(err){
+                this._emit("error", err) ;
+                return this._onClose() ;
+            }
+            var handlers = {
+                onOpen: this._onOpen.bind(this),
+                onMessage: this._onMessage.bind(this),
+                onError: function(ev){
+                    this._emit("error", ev) ;
+                }.bind(this),
+                onClose: this._onClose.bind(this)
+            } ;
+            if(this.client.options.testMode){
+                this.connection = createMockConnection(this, handlers) ;
+                return ;
+            }
+            var query = Object.keys(request.data || {}).map(function(k){
+                return k+"="+encodeURIComponent(request.data[k]) ;
+            }).join("&") ;
+            var url = this.client.createUrl(request.url) + (query ? "?"+query : "") ;
+            try{
+                if(this.transport === "sse"){
+                    this.connection = createSseConnection(url, request, this.options, handlers, Object.keys(this.subscriptions)) ;
+                }else{
+                    this.connection = createWebSocketConnection(url, request, this.options, handlers) ;
+                }
+            }catch(err){
+                this._emit("error", err) ;
+                this._onClose() ;
+            }
+        }.bind(this)) ;
+    } ;
+
+    /**
+     * Close the connection, it is not opened again until a new subscription or a call to connect
+     */
+    VeloxServiceRealtime.prototype.close = function(){
+        clearTimeout(this.reconnectTimer) ;
+        clearTimeout(this.reopenTimer) ;
+        var wasOpen = this.state === "open" ;
+        this.state = "closed" ;
+        this.attempt = 0 ;
+        if(this.connection){
+            this.connection.close() ;
+            this.connection = null ;
+        }
+        if(wasOpen){
+            this._emit("close") ;
+        }
+    } ;
+
+    VeloxServiceRealtime.prototype._onOpen = function(){
+        if(this.state !== "connecting"){ return ; }
+        this.state = "open" ;
+        this.attempt = 0 ;
+        this._emit("open") ;
+        if(!this.connection.oneWay){
+            //send the subscriptions again after a reconnection
+            Object.keys(this.subscriptions).forEach(function(channel){
+                this.connection.send({ type: "subscribe", channel: channel, params: this.subscriptions[channel].params }) ;
+            }.bind(this)) ;
+        }
+    } ;
+
+    VeloxServiceRealtime.prototype._onClose = function(){
+        var wasOpen = this.state === "open" ;
+        this.connection = null ;
+        if(this.state === "closed"){ return ; }
+        this.state = "closed" ;
+        if(wasOpen){
+            this._emit("close") ;
+        }
+        if(Object.keys(this.subscriptions).length === 0){
+            return ;
+        }
+        var delay = this._getReconnectDelay() ;
+        if(delay === null){
+            return ;
+        }
+        this.attempt++ ;
+        this._emit("reconnecting", delay) ;
+        this.reconnectTimer = setTimeout(this.connect.bind(this), delay) ;
+    } ;
+
+    VeloxServiceRealtime.prototype._getReconnectDelay = function(){
+        var policy = this.reconnectPolicy ;
+        if(!policy || (policy.maxAttempts && this.attempt >= policy.maxAttempts)){
+            return null ;
+        }
+        var delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, this.attempt)) ;
+        if(policy.jitter){
+            delay = delay/2 + Math.random() * delay/2 ;
+        }
+        return Math.round(delay) ;
+    } ;
+
+    VeloxServiceRealtime.prototype._onMessage = function(message){
+        var interceptors = this.messageInterceptors.slice() ;
+        var runInterceptors = function(message){
+            var interceptor = interceptors.shift() ;
+            if(!interceptor){
+                return this._dispatch(message) ;
+            }
+            interceptor(message, function(modifiedMessage, drop){
+                if(drop){ return ; }
+                runInterceptors(modifiedMessage || message) ;
+            }) ;
+        }.bind(this) ;
+        runInterceptors(message) ;
+    } ;
+
+    VeloxServiceRealtime.prototype._dispatch = function(message){
+        this._emit("message", message) ;
+        if(!message || typeof(message) !== "object" || !message.channel){
+            return ;
+        }
+        var subscription = this.subscriptions[message.channel] ;
+        if(!subscription){
+            return ;
+        }
+        subscription.handlers.slice().forEach(function(handler){
+            handler(message.data, message) ;
+        }) ;
+    } ;
+
+    /**
+     * Open the SSE connection again to give it the new subscribed channels
+     */
+    VeloxServiceRealtime.prototype._reopen = function(){
+        clearTimeout(this.reopenTimer) ;
+        //wait for the other subscriptions done at the same time
+        this.reopenTimer = setTimeout(function(){
+            this.close() ;
+            if(Object.keys(this.subscriptions).length > 0){
+                this.connect() ;
+            }
+        }.bind(this), 0) ;
+    } ;
+
+    /**
+     * Subscribe to a channel
+     *
+     * @param {string} channel the channel name
+     * @param {function} handler function(data, message) called on each message of the channel
+     * @param {object} [params] subscription parameters sent to the server (WebSocket only)
+     * @return {object} the subscription ({channel, unsubscribe})
+     */
+    VeloxServiceRealtime.prototype.subscribe = function(channel, handler, params){
+        var subscription = this.subscriptions[channel] ;
+        if(!subscription){
+            subscription = { params: params, handlers: [] } ;
+            this.subscriptions[channel] = subscription ;
+            if(this.state === "open" && !this.connection.oneWay){
+                this.connection.send({ type: "subscribe", channel: channel, params: params }) ;
+            }else if(this.connection && this.connection.oneWay){
+                this._reopen() ;
+            }
+        }
+        subscription.handlers.push(handler) ;
+        this.connect() ;
+        return {
+            channel: channel,
+            unsubscribe: this.unsubscribe.bind(this, channel, handler)
+        } ;
+    } ;
+
+    /**
+     * Remove a subscription
+     *
+     * @param {string} channel the channel name
+     * @param {function} [handler] the handler to remove (default : all the handlers of the channel)
+     */
+    VeloxServiceRealtime.prototype.unsubscribe = function(channel, handler){
+        var subscription = this.subscriptions[channel] ;
+        if(!subscription){
+            return ;
+        }
+        subscription.handlers = subscription.handlers.filter(function(h){
+            return handler && h !== handler ;
+        }) ;
+        if(subscription.handlers.length > 0){
+            return ;
+        }
+        delete this.subscriptions[channel] ;
+        if(Object.keys(this.subscriptions).length === 0){
+            return this.close() ;
+        }
+        if(this.state === "open" && !this.connection.oneWay){
+            this.connection.send({ type: "unsubscribe", channel: channel }) ;
+        }else if(this.connection && this.connection.oneWay){
+            this._reopen() ;
+        }
+    } ;
+
+    /**
+     * Publish a message on a channel (WebSocket only)
+     *
+     * @param {string} channel the channel name
+     * @param {*} data the message data
+     */
+    VeloxServiceRealtime.prototype.publish = function(channel, data){
+        if(this.state !== "open" || this.connection.oneWay){
+            throw new VeloxServiceClient.VeloxServiceError("Can't publish on "+channel+", the realtime connection is not open or is one way (SSE)") ;
+        }
+        this.connection.send({ type: "publish", channel: channel, data: data }) ;
+    } ;
+
+    /**
+     * Realtime extension
+     *
+     * Subscribe to channels through WebSocket or Server-Sent Events under the server URL
+     *
+     * The options are read in the realtime option of the client options. In test mode, the messages of testMocks.channels
+     * (VeloxServiceRealtimeMockChannel) are sent on subscribe and api.realtime.mock.connection can emit messages
+     * (emit(channel, data)) or simulate a disconnection (disconnect())
+     *
+     * @example
+     * VeloxServiceClient.registerExtension(VeloxServiceClientRealtime) ;
+     * var api = new VeloxServiceClient({serverUrl: "...", realtime: { transport: "websocket" }}) ;
+     * api.init(function(){
+     *      var subscription = api.subscribe("orders", function(order){ ... }) ;
+     *      ...
+     *      subscription.unsubscribe() ;
+     * }) ;
+     */
+    return {
+        name: "realtime",
+        instanceKeys: ["realtime"],
+        init: function(client, callback){
+            client.realtime = new VeloxServiceRealtime(client, client.options.realtime || {}) ;
+            callback() ;
+        },
+        destroy: function(client, callback){
+            client.realtime.close() ;
+            callback() ;
+        },
+        extendsProto: {
+            /**
+             * Subscribe to a realtime channel
+             *
+             * @param {string} channel the channel name
+             * @param {function} handler function(data, message) called on each message of the channel
+             * @param {object} [params] subscription parameters sent to the server (WebSocket only)
+             * @return {object} the subscription ({channel, unsubscribe})
+             */
+            subscribe: function(channel, handler, params){
+                return this.realtime.subscribe(channel, handler, params) ;
+            },
+            /**
+             * Publish a message on a realtime channel (WebSocket only)
+             *
+             * @param {string} channel the channel name
+             * @param {*} data the message data
+             */
+            publish: function(channel, data){
+                this.realtime.publish(channel, data) ;
+            }
+        }
+    } ;
+})));
@@ -0,0 +1,67 @@
+/*global require */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var VeloxServiceClientAuth = require("../VeloxServiceClientAuth") ;
+var helpers = require("./helpers") ;
+
+test.describe("auth", function(){
+    var server ;
+    test.before(function(){
+        return helpers.startServer(function(req, res){
+            if(req.url === "/auth/login"){
+                return helpers.sendJson(res, 200, { accessToken: "t1", refreshToken: "r1" }) ;
+            }
+            if(req.url === "/auth/refresh"){
+                return helpers.sendJson(res, 200, { accessToken: "t2" }) ;
+            }
+            if(req.headers.authorization !== "Bearer t2"){
+                return helpers.sendJson(res, 401, { error: "expired" }) ;
+            }
+            helpers.sendJson(res, 200, { ok: true }) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    function createClient(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", auth: { storage: VeloxServiceClient.storages.memory() } }) ;
+        api.use(VeloxServiceClientAuth) ;
+        return api.init().then(function(){
+            return api ;
+        }) ;
+    }
+
+    test.it("refreshes the token on 401 and replays the call", function(){
+        var api ;
+        return createClient().then(function(client){
+            api = client ;
+            return api.login({ login: "a", password: "b" }) ;
+        }).then(function(tokens){
+            assert.strictEqual(tokens.accessToken, "t1") ;
+            return api.ajax("data", "GET") ;
+        }).then(function(result){
+            assert.deepStrictEqual(result, { ok: true }) ;
+            assert.strictEqual(api.auth.getTokens().accessToken, "t2") ;
+            assert.strictEqual(api.auth.getTokens().refreshToken, "r1") ;
+        }) ;
+    }) ;
+
+    test.it("logs out with a callback", function(t, done){
+        createClient().then(function(api){
+            api.login({ login: "a", password: "b" }, function(err){
+                assert.ifError(err) ;
+                api.logout(function(err){
+                    assert.ifError(err) ;
+                    assert.strictEqual(api.auth.isAuthenticated(), false) ;
+                    done() ;
+                }) ;
+            }) ;
+        }) ;
+    }) ;
+}) ;
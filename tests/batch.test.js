@@ -0,0 +1,143 @@
+/*global require, Promise */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var helpers = require("./helpers") ;
+
+test.describe("batch", function(){
+    var server ;
+    var refuseBatch = false ;
+    test.before(function(){
+        return helpers.startServer(function(req, res, body){
+            if(req.url === "/batch"){
+                if(refuseBatch){
+                    return helpers.sendJson(res, 400, { error: "refused" }) ;
+                }
+                var requests = JSON.parse(body).requests ;
+                return helpers.sendJson(res, 200, { responses: requests.map(function(r){
+                    if(r.url.indexOf("missing") === 0){
+                        return { id: r.id, status: 404, body: { error: "not found" } } ;
+                    }
+                    return { id: r.id, status: 200, body: { method: r.method, url: r.url, body: r.body || null } } ;
+                }) }) ;
+            }
+            helpers.sendJson(res, 200, { method: req.method, url: req.url.substring(1), direct: true }) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    function sentSince(count){
+        return server.requests.slice(count) ;
+    }
+
+    test.it("merges the calls done in batch in a single request", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", dataEncoding: "json" }) ;
+        var count = server.requests.length ;
+        return api.batch(function(){
+            return Promise.all([ api.ajax("users", "GET", { page: 2 }), api.ajax("settings", "GET"), api.ajax("users", "POST", { name: "a" }) ]) ;
+        }).then(function(results){
+            var requests = sentSince(count) ;
+            assert.strictEqual(requests.length, 1) ;
+            assert.strictEqual(requests[0].url, "/batch") ;
+            assert.deepStrictEqual(JSON.parse(requests[0].body).requests.map(function(r){ return r.method+" "+r.url ; }),
+                ["GET users?page=2", "GET settings", "POST users"]) ;
+            assert.deepStrictEqual(results, [
+                { method: "GET", url: "users?page=2", body: null },
+                { method: "GET", url: "settings", body: null },
+                { method: "POST", url: "users", body: { name: "a" } }
+            ]) ;
+        }) ;
+    }) ;
+
+    test.it("splits the calls in batches of maxSize", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", batch: { auto: true, maxSize: 2 } }) ;
+        var count = server.requests.length ;
+        return Promise.all([1, 2, 3, 4, 5].map(function(i){
+            return api.ajax("items/"+i, "GET") ;
+        })).then(function(results){
+            var requests = sentSince(count) ;
+            assert.deepStrictEqual(requests.map(function(r){ return r.url ; }), ["/batch", "/batch", "/items/5"]) ;
+            assert.deepStrictEqual(results.map(function(r){ return r.url ; }), ["items/1", "items/2", "items/3", "items/4", "items/5"]) ;
+            assert.strictEqual(results[4].direct, true) ;
+        }) ;
+    }) ;
+
+    test.it("fails only the calls refused in the batch response", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        var outcomes = [] ;
+        return api.batch(function(){
+            return Promise.all(["users", "missing", "settings"].map(function(url){
+                return api.ajax(url, "GET").then(function(result){
+                    outcomes.push(result.url) ;
+                }, function(err){
+                    outcomes.push(err) ;
+                }) ;
+            })) ;
+        }).then(function(){
+            assert.strictEqual(outcomes.length, 3) ;
+            var errors = outcomes.filter(function(o){ return o instanceof Error ; }) ;
+            assert.strictEqual(errors.length, 1) ;
+            assert.ok(errors[0] instanceof VeloxServiceClient.VeloxServiceHttpError) ;
+            assert.strictEqual(errors[0].status, 404) ;
+            assert.deepStrictEqual(errors[0].body, { error: "not found" }) ;
+            assert.deepStrictEqual(outcomes.filter(function(o){ return !(o instanceof Error) ; }).sort(), ["settings", "users"]) ;
+        }) ;
+    }) ;
+
+    test.it("fails all the calls when the batch request fails", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        refuseBatch = true ;
+        return api.batch(function(){
+            return Promise.all(["users", "settings"].map(function(url){
+                return api.ajax(url, "GET").then(function(){
+                    assert.fail("should fail") ;
+                }, function(err){
+                    return err ;
+                }) ;
+            })) ;
+        }).then(function(errors){
+            refuseBatch = false ;
+            errors.forEach(function(err){
+                assert.ok(err instanceof VeloxServiceClient.VeloxServiceHttpError) ;
+                assert.strictEqual(err.status, 400) ;
+            }) ;
+        }, function(err){
+            refuseBatch = false ;
+            throw err ;
+        }) ;
+    }) ;
+
+    test.it("sends the calls one by one when batching is disabled", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        api.addEndPoints([ { endpoint: "users", method: "GET", batch: false } ]) ;
+        var count = server.requests.length ;
+        return Promise.all([ api.ajax("settings", "GET"), api.ajax("messages", "GET") ]).then(function(results){
+            assert.deepStrictEqual(sentSince(count).map(function(r){ return r.url ; }).sort(), ["/messages", "/settings"]) ;
+            assert.ok(results.every(function(r){ return r.direct ; })) ;
+            count = server.requests.length ;
+            return api.batch(function(){
+                return Promise.all([ api.users(), api.ajax("settings", "GET", null, { batch: false }) ]) ;
+            }) ;
+        }).then(function(results){
+            assert.deepStrictEqual(sentSince(count).map(function(r){ return r.url ; }).sort(), ["/settings", "/users"]) ;
+            assert.ok(results.every(function(r){ return r.direct ; })) ;
+        }) ;
+    }) ;
+
+    test.it("sends a single call without batch request", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        var count = server.requests.length ;
+        return api.batch(function(){
+            return api.ajax("settings", "GET") ;
+        }).then(function(result){
+            assert.strictEqual(result.direct, true) ;
+            assert.deepStrictEqual(sentSince(count).map(function(r){ return r.url ; }), ["/settings"]) ;
+        }) ;
+    }) ;
+}) ;
@@ -0,0 +1,164 @@
+/*global require, global, localStorage, Promise */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var VeloxServiceClientAuth = require("../VeloxServiceClientAuth") ;
+var helpers = require("./helpers") ;
+
+test.describe("cache", function(){
+    var server ;
+    test.before(function(){
+        return helpers.startServer(function(req, res){
+            helpers.sendJson(res, 200, { v: 1, url: req.url }) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    test.it("answers from cache", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        var count = server.requests.length ;
+        return api.ajax("a", "GET", null, { cache: true }).then(function(){
+            return api.ajax("a", "GET", null, { cache: true }) ;
+        }).then(function(result){
+            assert.strictEqual(result.v, 1) ;
+            assert.strictEqual(server.requests.length, count + 1) ;
+        }) ;
+    }) ;
+
+    test.it("gives a copy of the cached value", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        return api.ajax("b", "GET", null, { cache: true }).then(function(result){
+            result.v = 99 ;
+            return api.ajax("b", "GET", null, { cache: true }) ;
+        }).then(function(result){
+            result.v = 98 ;
+            return api.ajax("b", "GET", null, { cache: true }) ;
+        }).then(function(result){
+            assert.strictEqual(result.v, 1) ;
+        }) ;
+    }) ;
+
+    test.it("accepts 0 as maxSize", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", cache: { maxSize: 0 } }) ;
+        var count = server.requests.length ;
+        return api.ajax("c", "GET", null, { cache: true }).then(function(){
+            return api.ajax("c", "GET", null, { cache: true }) ;
+        }).then(function(){
+            assert.strictEqual(server.requests.length, count + 2) ;
+        }) ;
+    }) ;
+
+    test.it("keeps maxSize with the responses persisted by a previous session", function(){
+        var storage = VeloxServiceClient.storages.memory() ;
+        var previous = new VeloxServiceClient({ serverUrl: server.url, transport: "node", cache: { maxSize: 2, storage: storage } }) ;
+        return previous.ajax("d1", "GET", null, { cache: true }).then(function(){
+            return previous.ajax("d2", "GET", null, { cache: true }) ;
+        }).then(function(){
+            var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", cache: { maxSize: 2, storage: storage } }) ;
+            return api.ajax("d3", "GET", null, { cache: true }) ;
+        }).then(function(){
+            return new Promise(function(resolve, reject){
+                storage.keys(function(err, keys){
+                    if(err){ return reject(err) ; }
+                    resolve(keys) ;
+                }) ;
+            }) ;
+        }).then(function(keys){
+            assert.strictEqual(keys.length, 2) ;
+            assert.ok(keys.some(function(k){ return k.indexOf("d3") !== -1 ; })) ;
+        }) ;
+    }) ;
+
+    test.it("invalidates after a modification", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        var count = server.requests.length ;
+        return api.ajax("e", "GET", null, { cache: true }).then(function(){
+            return api.ajax("e", "POST", {}) ;
+        }).then(function(){
+            return api.ajax("e", "GET", null, { cache: true }) ;
+        }).then(function(){
+            assert.strictEqual(server.requests.length, count + 3) ;
+        }) ;
+    }) ;
+
+    test.it("keeps the responses of each server apart", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", servers: { other: { url: server.url } } }) ;
+        var count = server.requests.length ;
+        return api.ajax("f", "GET", null, { cache: true }).then(function(){
+            return api.ajax("f", "GET", null, { cache: true, server: "other" }) ;
+        }).then(function(){
+            assert.strictEqual(server.requests.length, count + 2) ;
+            return api.ajax("f", "POST", {}, { server: "other" }) ;
+        }).then(function(){
+            return api.ajax("f", "GET", null, { cache: true }) ;
+        }).then(function(){
+            assert.strictEqual(server.requests.length, count + 3) ;
+            return api.invalidateCache("f") ;
+        }).then(function(){
+            return api.ajax("f", "GET", null, { cache: true }) ;
+        }).then(function(){
+            assert.strictEqual(server.requests.length, count + 4) ;
+        }) ;
+    }) ;
+
+    test.it("does not answer with the response of the previous server URL", function(){
+        var otherServer ;
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        return helpers.startServer(function(req, res){
+            helpers.sendJson(res, 200, { v: 2 }) ;
+        }).then(function(s){
+            otherServer = s ;
+            return api.ajax("h", "GET", null, { cache: true }) ;
+        }).then(function(result){
+            assert.strictEqual(result.v, 1) ;
+            api.setServerUrl(otherServer.url) ;
+            return api.ajax("h", "GET", null, { cache: true }) ;
+        }).then(function(result){
+            assert.strictEqual(result.v, 2) ;
+            assert.strictEqual(otherServer.requests.length, 1) ;
+            return api.ajax("h", "GET", null, { cache: true }) ;
+        }).then(function(result){
+            assert.strictEqual(result.v, 2) ;
+            assert.strictEqual(otherServer.requests.length, 1) ;
+        }).then(function(){
+            return otherServer.close() ;
+        }, function(err){
+            return otherServer.close().then(function(){
+                throw err ;
+            }) ;
+        }) ;
+    }) ;
+
+    test.it("only removes its own keys from a shared localStorage", function(){
+        global.localStorage = new helpers.FakeLocalStorage() ;
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node",
+            cache: { maxSize: 1, storage: VeloxServiceClient.storages.localStorage() } }) ;
+        api.use(VeloxServiceClientAuth) ;
+        return api.init().then(function(){
+            api.auth.setTokens({ accessToken: "t1" }) ;
+            localStorage.setItem("velox_other", "\"kept\"") ;
+            return api.ajax("g1", "GET", null, { cache: true }) ;
+        }).then(function(){
+            return api.ajax("g2", "GET", null, { cache: true }) ;
+        }).then(function(){
+            //maxSize 1 : g1 is evicted, the other keys are kept
+            assert.deepStrictEqual(Object.keys(localStorage.items).sort(),
+                ["velox_auth_authTokens", "velox_cache_default:g2?", "velox_other"]) ;
+            return api.invalidateCache() ;
+        }).then(function(){
+            assert.deepStrictEqual(Object.keys(localStorage.items).sort(), ["velox_auth_authTokens", "velox_other"]) ;
+            assert.strictEqual(api.auth.getTokens().accessToken, "t1") ;
+        }).then(function(){
+            delete global.localStorage ;
+        }, function(err){
+            delete global.localStorage ;
+            throw err ;
+        }) ;
+    }) ;
+}) ;
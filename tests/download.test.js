@@ -0,0 +1,115 @@
+/*global require, Blob */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var helpers = require("./helpers") ;
+
+test.describe("download", function(){
+    var server ;
+    var api ;
+    test.before(function(){
+        return helpers.startServer(function(req, res){
+            if(req.url.indexOf("/missing") === 0){
+                return helpers.sendJson(res, 404, { error: "no report" }) ;
+            }
+            res.setHeader("Content-Type", "text/csv") ;
+            if(req.url.indexOf("/reports/named") === 0){
+                res.setHeader("Content-Disposition", "attachment; filename*=UTF-8''r%C3%A9sum%C3%A9.csv") ;
+            }
+            res.end("a;b\n1;2\n") ;
+        }).then(function(s){
+            server = s ;
+            api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    test.it("downloads a blob with the blob strategy", function(){
+        var progresses = [] ;
+        return api.download("reports/named", "GET", { month: 3 }, { strategy: "blob", save: false, onDownloadProgress: function(p){
+            progresses.push(p) ;
+        } }).then(function(result){
+            assert.ok(result.blob instanceof Blob) ;
+            assert.strictEqual(result.fileName, "résumé.csv") ;
+            assert.strictEqual(result.contentType, "text/csv") ;
+            assert.strictEqual(result.size, 8) ;
+            assert.strictEqual(result.saved, false) ;
+            assert.strictEqual(server.requests[server.requests.length-1].url, "/reports/named?month=3") ;
+            assert.strictEqual(progresses[progresses.length-1].loaded, 8) ;
+            return result.blob.text() ;
+        }).then(function(text){
+            assert.strictEqual(text, "a;b\n1;2\n") ;
+        }) ;
+    }) ;
+
+    test.it("uses the blob strategy in auto and gives the blob to the save function", function(){
+        var saved = [] ;
+        return api.download("reports/monthly.csv", "GET", null, { save: function(blob, fileName){
+            saved.push(fileName) ;
+        } }).then(function(result){
+            assert.ok(result.blob instanceof Blob) ;
+            assert.strictEqual(result.fileName, "monthly.csv") ;
+            assert.strictEqual(result.saved, true) ;
+            assert.deepStrictEqual(saved, ["monthly.csv"]) ;
+        }) ;
+    }) ;
+
+    test.it("posts the data with the form strategy", function(){
+        var count = server.requests.length ;
+        return api.download("reports/form", "POST", { month: 3 }, "form", { strategy: "form" }).then(function(){
+            var request = server.requests[count] ;
+            assert.strictEqual(request.method, "POST") ;
+            assert.strictEqual(request.url, "/reports/form") ;
+            assert.strictEqual(request.body, "month=3") ;
+        }) ;
+    }) ;
+
+    test.it("reads the error sent by the server", function(){
+        return api.download("missing", "GET", null, { save: false }).then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceHttpError) ;
+            assert.strictEqual(err.status, 404) ;
+            assert.deepStrictEqual(err.body, { error: "no report" }) ;
+        }) ;
+    }) ;
+
+    test.it("aborts the download", function(){
+        var call = api.download("reports/aborted", "GET", null, { save: false }) ;
+        call.abort() ;
+        return call.then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceAbortError) ;
+        }) ;
+    }) ;
+
+    test.it("gives the unknown strategy error to the promise", function(){
+        return api.download("reports/x", "GET", null, { strategy: "other" }).then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceError) ;
+            assert.ok(/Unknown download strategy other/.test(err.message)) ;
+        }) ;
+    }) ;
+
+    test.it("gives the unknown strategy error to the callback", function(t, done){
+        api.download("reports/x", "GET", null, { strategy: "other" }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceError) ;
+            done() ;
+        }) ;
+    }) ;
+
+    test.it("downloads with the end points having the download send method", function(){
+        var client = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        client.addEndPoints([ { endpoint: "reports/{id}", method: "GET", sendMethod: "download", download: { save: false } } ]) ;
+        return client.reports(7).then(function(result){
+            assert.strictEqual(result.fileName, "7") ;
+            assert.strictEqual(result.size, 8) ;
+        }) ;
+    }) ;
+}) ;
@@ -0,0 +1,153 @@
+/*global require, Promise */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var helpers = require("./helpers") ;
+
+test.describe("end points", function(){
+    var server ;
+    var api ;
+    test.before(function(){
+        return helpers.startServer(function(req, res){
+            helpers.sendJson(res, 200, { method: req.method, url: req.url }) ;
+        }).then(function(s){
+            server = s ;
+            api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    test.it("refuses 2 end points having the same name", function(){
+        var client = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        client.addEndPoint("users", "GET") ;
+        assert.throws(function(){
+            client.addEndPoint("users/{id}", "DELETE") ;
+        }, VeloxServiceClient.VeloxServiceError) ;
+        assert.throws(function(){
+            client.addEndPoint("ajax", "GET") ;
+        }, VeloxServiceClient.VeloxServiceError) ;
+    }) ;
+
+    test.it("registers the end points named as client members", function(){
+        var client = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        client.addEndPoints([
+            { endpoint: "events/list", method: "GET" },
+            { endpoint: "stats/daily", method: "GET" },
+            { endpoint: "cache/clear", method: "POST" },
+            { endpoint: "servers", method: "GET" },
+            { endpoint: "upload", method: "POST" },
+            { endpoint: "download", method: "GET" },
+            { endpoint: "batch", method: "POST" },
+            { endpoint: "on", method: "GET" },
+            { endpoint: "files/{id}", method: "GET", sendMethod: "download", download: { save: false } }
+        ]) ;
+        return client.events.list().then(function(result){
+            assert.deepStrictEqual(result, { method: "GET", url: "/events/list" }) ;
+            return client.stats.daily() ;
+        }).then(function(result){
+            assert.strictEqual(result.url, "/stats/daily") ;
+            return client.cache.clear() ;
+        }).then(function(result){
+            assert.deepStrictEqual(result, { method: "POST", url: "/cache/clear" }) ;
+            return Promise.all([ client.servers(), client.upload(), client.download(), client.batch(), client.on() ]) ;
+        }).then(function(results){
+            assert.deepStrictEqual(results.map(function(r){ return r.url ; }), ["/servers", "/upload", "/download", "/batch", "/on"]) ;
+            assert.strictEqual(client.getStats()["GET events/list"].count, 1) ;
+            //the end points still download when the download method is hidden
+            return client.files(3) ;
+        }).then(function(result){
+            assert.strictEqual(result.fileName, "3") ;
+        }) ;
+    }) ;
+
+    test.it("calls the end points registered with a name", function(){
+        api.addEndPoints([
+            { endpoint: "users", method: "GET" },
+            { endpoint: "users/{id}", method: "DELETE", name: "users/remove" },
+            { endpoint: "users/{id}/orders", method: "GET" }
+        ]) ;
+        return api.users().then(function(result){
+            assert.deepStrictEqual(result, { method: "GET", url: "/users" }) ;
+            return api.users.remove(12) ;
+        }).then(function(result){
+            assert.deepStrictEqual(result, { method: "DELETE", url: "/users/12" }) ;
+            return api.users.orders(12) ;
+        }).then(function(result){
+            assert.deepStrictEqual(result, { method: "GET", url: "/users/12/orders" }) ;
+        }) ;
+    }) ;
+
+    test.it("gives the missing argument error to the promise", function(){
+        var client = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        client.addEndPoint("items/{id}", "GET") ;
+        client.addEndPoint("things", "POST", [{ name: "a" }]) ;
+        var count = server.requests.length ;
+        return client.items(undefined).then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceValidationError) ;
+            assert.deepStrictEqual(err.errors, [ { field: "id", message: "is required" } ]) ;
+            return client.things() ;
+        }).then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceValidationError) ;
+            assert.strictEqual(server.requests.length, count) ;
+        }) ;
+    }) ;
+
+    test.it("gives the missing argument error to the callback", function(t, done){
+        var client = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        client.addEndPoint("items/{id}", "GET", [ "id" ]) ;
+        client.items(function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceValidationError) ;
+            done() ;
+        }) ;
+    }) ;
+
+    test.it("gives the unknown server error to the promise", function(){
+        return api.ajax("users", "GET", null, { server: "unknown" }).then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceError) ;
+            assert.ok(/Unknown server profile unknown/.test(err.message)) ;
+            return api.post("users", "POST", {}, null, null, null, { server: "unknown" }) ;
+        }).then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(/Unknown server profile unknown/.test(err.message)) ;
+        }) ;
+    }) ;
+
+    test.it("gives the unknown server error to the callback", function(t, done){
+        api.ajax("users", "GET", null, { server: "unknown" }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceError) ;
+            done() ;
+        }) ;
+    }) ;
+
+    test.it("posts to the server of the end point", function(){
+        var otherServer ;
+        return helpers.startServer(function(req, res){
+            helpers.sendJson(res, 200, {}) ;
+        }).then(function(s){
+            otherServer = s ;
+            var client = new VeloxServiceClient({ serverUrl: server.url, transport: "node", servers: { other: { url: otherServer.url } } }) ;
+            client.addEndPoints([ { endpoint: "exports", method: "POST", sendMethod: "post", server: "other" } ]) ;
+            return client.exports({ a: 1 }) ;
+        }).then(function(){
+            assert.strictEqual(otherServer.requests.length, 1) ;
+            assert.strictEqual(otherServer.requests[0].url, "/exports") ;
+        }).then(function(){
+            return otherServer.close() ;
+        }, function(err){
+            return otherServer.close().then(function(){
+                throw err ;
+            }) ;
+        }) ;
+    }) ;
+}) ;
@@ -0,0 +1,146 @@
+/*global require */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var helpers = require("./helpers") ;
+
+test.describe("events", function(){
+    var server ;
+    var failures = 0 ;
+    test.before(function(){
+        return helpers.startServer(function(req, res){
+            if(req.url.indexOf("/missing") === 0){
+                return helpers.sendJson(res, 404, { error: "not found" }) ;
+            }
+            if(req.url.indexOf("/unstable") === 0 && failures > 0){
+                failures-- ;
+                return helpers.sendJson(res, 503, { error: "unavailable" }) ;
+            }
+            helpers.sendJson(res, 200, { correlationId: req.headers["x-correlation-id"] || null, traceId: req.headers["x-trace"] || null }) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    test.it("emits the request events", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        api.addEndPoint("users/{id}", "GET") ;
+        var events = [] ;
+        var listener = function(name){
+            return function(event){
+                events.push({ name: name, event: event }) ;
+            } ;
+        } ;
+        var onStart = listener("requestStart") ;
+        api.on("requestStart", onStart) ;
+        api.on("requestEnd", listener("requestEnd")) ;
+        return api.users(3).then(function(){
+            assert.deepStrictEqual(events.map(function(e){ return e.name ; }), ["requestStart", "requestEnd"]) ;
+            var start = events[0].event ;
+            var end = events[1].event ;
+            assert.strictEqual(start.id, end.id) ;
+            assert.strictEqual(start.method, "GET") ;
+            assert.strictEqual(start.url, "users/3") ;
+            assert.strictEqual(start.endPoint, "users/{id}") ;
+            assert.strictEqual(start.attempt, 1) ;
+            assert.strictEqual(end.status, 200) ;
+            assert.strictEqual(end.error, null) ;
+            assert.ok(end.duration >= 0) ;
+            api.off("requestStart", onStart) ;
+            events = [] ;
+            return api.ajax("missing", "GET").catch(function(err){
+                return err ;
+            }) ;
+        }).then(function(err){
+            assert.deepStrictEqual(events.map(function(e){ return e.name ; }), ["requestEnd"]) ;
+            assert.strictEqual(events[0].event.status, 404) ;
+            assert.strictEqual(events[0].event.error, err) ;
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceHttpError) ;
+        }) ;
+    }) ;
+
+    test.it("emits the retries", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", retry: { baseDelay: 1, jitter: false } }) ;
+        var retries = [] ;
+        var end = null ;
+        api.on("requestRetry", function(event){
+            retries.push(event) ;
+        }) ;
+        api.on("requestEnd", function(event){
+            end = event ;
+        }) ;
+        failures = 1 ;
+        return api.ajax("unstable", "GET").then(function(){
+            assert.strictEqual(retries.length, 1) ;
+            assert.strictEqual(retries[0].status, 503) ;
+            assert.strictEqual(retries[0].attempt, 1) ;
+            assert.strictEqual(end.attempt, 2) ;
+            assert.strictEqual(end.retries, 1) ;
+        }) ;
+    }) ;
+
+    test.it("counts the calls by end point", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", retry: { baseDelay: 1, jitter: false } }) ;
+        api.addEndPoint("users/{id}", "GET") ;
+        failures = 1 ;
+        return api.users(1).then(function(){
+            return api.users(2) ;
+        }).then(function(){
+            return api.ajax("missing", "GET").catch(function(){}) ;
+        }).then(function(){
+            return api.ajax("unstable", "GET") ;
+        }).then(function(){
+            var stats = api.getStats() ;
+            assert.deepStrictEqual(Object.keys(stats).sort(), ["GET missing", "GET unstable", "GET users/{id}"]) ;
+            assert.strictEqual(stats["GET users/{id}"].count, 2) ;
+            assert.strictEqual(stats["GET users/{id}"].errors, 0) ;
+            assert.strictEqual(stats["GET missing"].errors, 1) ;
+            assert.strictEqual(stats["GET missing"].errorRate, 1) ;
+            assert.strictEqual(stats["GET unstable"].retries, 1) ;
+            assert.ok(stats["GET users/{id}"].p95 >= stats["GET users/{id}"].p50) ;
+            api.resetStats() ;
+            assert.deepStrictEqual(api.getStats(), {}) ;
+        }) ;
+    }) ;
+
+    test.it("sends the same correlation id on each attempt", function(){
+        var ids = [] ;
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", retry: { baseDelay: 1, jitter: false },
+            correlationId: { generate: function(){
+                ids.push("id"+ids.length) ;
+                return ids[ids.length-1] ;
+            } } }) ;
+        var start = null ;
+        api.on("requestStart", function(event){
+            start = event ;
+        }) ;
+        failures = 1 ;
+        var count = server.requests.length ;
+        return api.ajax("unstable", "GET").then(function(result){
+            assert.deepStrictEqual(ids, ["id0"]) ;
+            assert.strictEqual(result.correlationId, "id0") ;
+            assert.deepStrictEqual(server.requests.slice(count).map(function(r){ return r.headers["x-correlation-id"] ; }), ["id0", "id0"]) ;
+            assert.strictEqual(start.correlationId, "id0") ;
+        }) ;
+    }) ;
+
+    test.it("sends the correlation id in the configured header or given by the call", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", correlationId: { header: "X-Trace" } }) ;
+        var noCorrelation = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        return api.ajax("a", "GET").then(function(result){
+            assert.ok(/^[0-9a-f-]{36}$/.test(result.traceId)) ;
+            assert.strictEqual(result.correlationId, null) ;
+            return api.ajax("a", "GET", null, { correlationId: "given" }) ;
+        }).then(function(result){
+            assert.strictEqual(result.traceId, "given") ;
+            return noCorrelation.ajax("a", "GET") ;
+        }).then(function(result){
+            assert.strictEqual(result.correlationId, null) ;
+        }) ;
+    }) ;
+}) ;
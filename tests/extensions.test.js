@@ -0,0 +1,107 @@
+/*global require, Promise, setTimeout */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var VeloxServiceClientAuth = require("../VeloxServiceClientAuth") ;
+var VeloxServiceClientOffline = require("../VeloxServiceClientOffline") ;
+var helpers = require("./helpers") ;
+
+test.describe("extensions", function(){
+    var server ;
+    test.before(function(){
+        return helpers.startServer(function(req, res){
+            setTimeout(function(){
+                helpers.sendJson(res, 200, { ok: true }) ;
+            }, 30) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    function createClient(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", dataEncoding: "json",
+            auth: { storage: VeloxServiceClient.storages.memory() }, offline: { storage: VeloxServiceClient.storages.memory() } }) ;
+        api.use(VeloxServiceClientAuth) ;
+        api.use(VeloxServiceClientOffline) ;
+        return api ;
+    }
+
+    test.it("removes the interceptors on destroy", function(){
+        var api = createClient() ;
+        return api.init().then(function(){
+            assert.strictEqual(api.requestInterceptors.length, 2) ;
+            assert.strictEqual(api.ajaxInterceptors.length, 2) ;
+            return api.destroy() ;
+        }).then(function(){
+            assert.strictEqual(api.requestInterceptors.length, 0) ;
+            assert.strictEqual(api.ajaxInterceptors.length, 0) ;
+            return api.init() ;
+        }).then(function(){
+            assert.strictEqual(api.requestInterceptors.length, 2) ;
+            assert.strictEqual(api.ajaxInterceptors.length, 2) ;
+            return api.destroy() ;
+        }) ;
+    }) ;
+
+    test.it("does not add the interceptors twice on init called twice", function(){
+        var api = createClient() ;
+        return api.init().then(function(){
+            var queue = api.offlineQueue ;
+            return api.init().then(function(){
+                assert.strictEqual(api.requestInterceptors.length, 2) ;
+                assert.strictEqual(api.ajaxInterceptors.length, 2) ;
+                assert.ok(queue.stopped) ;
+                assert.notStrictEqual(api.offlineQueue, queue) ;
+                return api.destroy() ;
+            }) ;
+        }).then(function(){
+            assert.strictEqual(api.requestInterceptors.length, 0) ;
+            assert.strictEqual(api.ajaxInterceptors.length, 0) ;
+        }) ;
+    }) ;
+
+    test.it("stops the running replay on destroy", function(){
+        var api = createClient() ;
+        api.addEndPoints([ { endpoint: "visits", method: "POST", offline: true } ]) ;
+        var count = server.requests.length ;
+        return api.init().then(function(){
+            api.offlineQueue.setOnline(false) ;
+            return Promise.all([ api.visits({ a: 1 }), api.visits({ a: 2 }) ]) ;
+        }).then(function(){
+            return new Promise(function(resolve){
+                api.offlineQueue.replay(resolve) ;
+                api.destroy() ;
+            }) ;
+        }).then(function(){
+            assert.strictEqual(server.requests.length, count + 1) ;
+            assert.strictEqual(api.offlineQueue.getItems().length, 1) ;
+        }) ;
+    }) ;
+
+    test.it("refuses 2 extensions setting the same instance key", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        api.use({ name: "otherAuth", instanceKeys: ["auth"] }) ;
+        assert.throws(function(){
+            api.use(VeloxServiceClientAuth) ;
+        }, /can't define auth/) ;
+    }) ;
+
+    test.it("defines no key of an extension having a key collision", function(){
+        assert.throws(function(){
+            VeloxServiceClient.registerExtension({ name: "collision", extendsProto: { collisionProto: function(){} },
+                extendsGlobal: { registerExtension: function(){} } }) ;
+        }, /can't define registerExtension/) ;
+        assert.strictEqual(VeloxServiceClient.prototype.collisionProto, undefined) ;
+
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        assert.throws(function(){
+            api.use({ name: "collision", extendsProto: { collisionProto: function(){} }, extendsGlobal: { registerExtension: function(){} } }) ;
+        }, /can't define registerExtension/) ;
+        assert.strictEqual(api.collisionProto, undefined) ;
+    }) ;
+}) ;
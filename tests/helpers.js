@@ -0,0 +1,194 @@
+/*global require, module, Buffer, Promise, fetch, AbortController */
+"use strict";
+
+var http = require("http") ;
+
+/**
+ * Start a local HTTP server standing in for the service server
+ *
+ * The handler receive (req, res, body) with the request body read as a string,
+ * the received requests are kept in server.requests
+ *
+ * @param {function} handler the request handler
+ * @return {Promise} resolved with the server ({url, requests, close})
+ */
+function startServer(handler){
+    var requests = [] ;
+    var server = http.createServer(function(req, res){
+        var chunks = [] ;
+        req.on("data", function(chunk){
+            chunks.push(chunk) ;
+        }) ;
+        req.on("end", function(){
+            var body = Buffer.concat(chunks) ;
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: body.toString("utf8"), raw: body }) ;
+            handler(req, res, body.toString("utf8"), body) ;
+        }) ;
+    }) ;
+    return new Promise(function(resolve){
+        server.listen(0, "127.0.0.1", function(){
+            resolve({
+                url: "http://127.0.0.1:"+server.address().port+"/",
+                requests: requests,
+                close: function(){
+                    return new Promise(function(resolveClose){
+                        server.close(resolveClose) ;
+                        if(server.closeAllConnections){
+                            server.closeAllConnections() ;
+                        }
+                    }) ;
+                }
+            }) ;
+        }) ;
+    }) ;
+}
+
+/**
+ * Send a JSON response
+ *
+ * @param {http.ServerResponse} res the response
+ * @param {number} status the HTTP status
+ * @param {*} body the body to send as JSON
+ * @param {object} [headers] other headers
+ */
+function sendJson(res, status, body, headers){
+    res.statusCode = status ;
+    res.setHeader("Content-Type", "application/json") ;
+    Object.keys(headers || {}).forEach(function(h){
+        res.setHeader(h, headers[h]) ;
+    }) ;
+    res.end(JSON.stringify(body)) ;
+}
+
+/**
+ * Get a free port having no server (to simulate a network failure)
+ *
+ * @return {Promise} resolved with the URL of the closed server
+ */
+function getClosedServerUrl(){
+    return startServer(function(){}).then(function(server){
+        return server.close().then(function(){
+            return server.url ;
+        }) ;
+    }) ;
+}
+
+/**
+ * Minimal XMLHttpRequest running on Node fetch, to run the xhr transport against the local server
+ */
+function FakeXMLHttpRequest(){
+    this.readyState = 0 ;
+    this.status = 0 ;
+    this.responseType = "" ;
+    this.responseText = "" ;
+    this.response = null ;
+    this.withCredentials = false ;
+    this.headers = {} ;
+    this.responseHeaders = "" ;
+    this.controller = new AbortController() ;
+    this.uploadListeners = [] ;
+    var xhr = this ;
+    this.upload = {
+        addEventListener: function(event, listener){
+            xhr.uploadListeners.push(listener) ;
+        }
+    } ;
+}
+
+FakeXMLHttpRequest.prototype.open = function(method, url){
+    this.method = method ;
+    this.url = url ;
+    this.readyState = 1 ;
+} ;
+
+FakeXMLHttpRequest.prototype.setRequestHeader = function(name, value){
+    this.headers[name] = value ;
+} ;
+
+FakeXMLHttpRequest.prototype.getAllResponseHeaders = function(){
+    return this.responseHeaders ;
+} ;
+
+FakeXMLHttpRequest.prototype.abort = function(){
+    this.controller.abort() ;
+} ;
+
+FakeXMLHttpRequest.prototype._done = function(){
+    this.readyState = 4 ;
+    if(this.onreadystatechange){
+        this.onreadystatechange() ;
+    }
+} ;
+
+FakeXMLHttpRequest.prototype.send = function(body){
+    var xhr = this ;
+    fetch(this.url, { method: this.method, headers: this.headers, body: body, signal: this.controller.signal }).then(function(res){
+        if(body !== undefined && body !== null){
+            var size = typeof(body) === "string" ? Buffer.byteLength(body) : (body.size || body.byteLength || 0) ;
+            xhr.uploadListeners.forEach(function(listener){
+                listener({ loaded: size, total: size, lengthComputable: true }) ;
+            }) ;
+        }
+        var lines = [] ;
+        res.headers.forEach(function(value, name){
+            lines.push(name+": "+value) ;
+        }) ;
+        xhr.responseHeaders = lines.join("\r\n") ;
+        var read = xhr.responseType === "blob" ? res.blob() : xhr.responseType === "arraybuffer" ? res.arrayBuffer() : res.text() ;
+        return read.then(function(value){
+            xhr.status = res.status ;
+            if(xhr.responseType){
+                xhr.response = value ;
+            }else{
+                xhr.responseText = value ;
+                xhr.response = value ;
+            }
+            if(xhr.onprogress){
+                var loaded = typeof(value) === "string" ? Buffer.byteLength(value) : (value.size || value.byteLength || 0) ;
+                xhr.onprogress({ loaded: loaded, total: loaded, lengthComputable: true }) ;
+            }
+            xhr._done() ;
+        }) ;
+    }).catch(function(err){
+        xhr.status = 0 ;
+        if(xhr.onerror){
+            xhr.onerror(err) ;
+        }
+        xhr._done() ;
+    }) ;
+} ;
+
+/**
+ * Minimal in memory localStorage
+ */
+function FakeLocalStorage(){
+    this.items = {} ;
+    this.length = 0 ;
+}
+
+FakeLocalStorage.prototype.getItem = function(key){
+    return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null ;
+} ;
+
+FakeLocalStorage.prototype.setItem = function(key, value){
+    this.items[key] = String(value) ;
+    this.length = Object.keys(this.items).length ;
+} ;
+
+FakeLocalStorage.prototype.removeItem = function(key){
+    delete this.items[key] ;
+    this.length = Object.keys(this.items).length ;
+} ;
+
+FakeLocalStorage.prototype.key = function(index){
+    var key = Object.keys(this.items)[index] ;
+    return key === undefined ? null : key ;
+} ;
+
+module.exports = {
+    startServer: startServer,
+    sendJson: sendJson,
+    getClosedServerUrl: getClosedServerUrl,
+    FakeXMLHttpRequest: FakeXMLHttpRequest,
+    FakeLocalStorage: FakeLocalStorage
+} ;
@@ -0,0 +1,88 @@
+/*global require */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var helpers = require("./helpers") ;
+
+test.describe("interceptors", function(){
+    var server ;
+    test.before(function(){
+        return helpers.startServer(function(req, res){
+            helpers.sendJson(res, 200, { url: req.url, token: req.headers["x-token"] || null }) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    function createClient(){
+        return new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+    }
+
+    function addToken(request, next){
+        request.headers["X-Token"] = "abc" ;
+        next() ;
+    }
+
+    test.it("lets the request interceptors modify the request", function(){
+        var api = createClient() ;
+        api.addRequestInterceptor(addToken) ;
+        return api.ajax("a", "GET").then(function(result){
+            assert.strictEqual(result.token, "abc") ;
+            api.removeRequestInterceptor(addToken) ;
+            return api.ajax("a", "GET") ;
+        }).then(function(result){
+            assert.strictEqual(result.token, null) ;
+        }) ;
+    }) ;
+
+    test.it("stops the call on interceptor error", function(){
+        var api = createClient() ;
+        var count = server.requests.length ;
+        api.addRequestInterceptor(function(request, next){
+            next(new Error("refused")) ;
+        }) ;
+        return api.ajax("b", "GET").then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceError) ;
+            assert.strictEqual(server.requests.length, count) ;
+        }) ;
+    }) ;
+
+    test.it("answers with the response given by an interceptor", function(){
+        var api = createClient() ;
+        var count = server.requests.length ;
+        api.addRequestInterceptor(function(request, next){
+            next(null, { status: 200, response: { local: true } }) ;
+        }) ;
+        return api.ajax("c", "GET").then(function(result){
+            assert.deepStrictEqual(result, { local: true }) ;
+            assert.strictEqual(server.requests.length, count) ;
+        }) ;
+    }) ;
+
+    test.it("runs the request interceptors on post", function(){
+        var api = createClient() ;
+        var count = server.requests.length ;
+        api.addRequestInterceptor(addToken) ;
+        return api.post("d", "POST", { a: 1 }, "form").then(function(){
+            assert.strictEqual(server.requests[count].headers["x-token"], "abc") ;
+        }) ;
+    }) ;
+
+    test.it("lets the ajax interceptors replace the response", function(){
+        var api = createClient() ;
+        api.addAjaxInterceptor(function(err, request, response, next){
+            if(err){ return next() ; }
+            next({ status: 200, response: { replaced: true } }) ;
+        }) ;
+        return api.ajax("e", "GET").then(function(result){
+            assert.deepStrictEqual(result, { replaced: true }) ;
+        }) ;
+    }) ;
+}) ;
@@ -0,0 +1,199 @@
+/*global require, Promise, setTimeout */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var VeloxServiceClientOffline = require("../VeloxServiceClientOffline") ;
+var helpers = require("./helpers") ;
+
+function createClient(serverUrl, offlineOptions){
+    var api = new VeloxServiceClient({ serverUrl: serverUrl, transport: "node", dataEncoding: "json", offline: offlineOptions }) ;
+    api.use(VeloxServiceClientOffline) ;
+    api.addEndPoints([
+        { endpoint: "visits", method: "POST", offline: true },
+        { endpoint: "conflicts", method: "PUT", offline: true },
+        { endpoint: "slow", method: "POST", offline: true, timeout: 50 }
+    ]) ;
+    return api.init().then(function(){
+        return api ;
+    }) ;
+}
+
+test.describe("offline", function(){
+    var server ;
+    test.before(function(){
+        return helpers.startServer(function(req, res){
+            if(req.url.indexOf("/conflicts") === 0){
+                return helpers.sendJson(res, 409, { error: "conflict" }) ;
+            }
+            if(req.url.indexOf("/slow") === 0){
+                return setTimeout(function(){
+                    helpers.sendJson(res, 200, { ok: true }) ;
+                }, 300) ;
+            }
+            helpers.sendJson(res, 200, { ok: true }) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    test.it("replays the queued call with its query and headers", function(){
+        var api ;
+        return createClient(server.url, { storage: VeloxServiceClient.storages.memory() }).then(function(client){
+            api = client ;
+            api.offlineQueue.setOnline(false) ;
+            return api.visits.withOptions({ query: { v: 2 }, headers: { "X-Device": "d1" } })({ place: "p" }) ;
+        }).then(function(result){
+            assert.strictEqual(result.queued, true) ;
+            assert.strictEqual(api.offlineQueue.getItems().length, 1) ;
+            var count = server.requests.length ;
+            return new Promise(function(resolve, reject){
+                api.offlineQueue.replay(function(err){
+                    if(err){ return reject(err) ; }
+                    resolve(server.requests.slice(count)) ;
+                }) ;
+            }) ;
+        }).then(function(requests){
+            assert.strictEqual(requests.length, 1) ;
+            assert.strictEqual(requests[0].url, "/visits?v=2") ;
+            assert.strictEqual(requests[0].headers["x-device"], "d1") ;
+            assert.deepStrictEqual(JSON.parse(requests[0].body), { place: "p" }) ;
+            assert.strictEqual(api.offlineQueue.getItems().length, 0) ;
+        }) ;
+    }) ;
+
+    test.it("queues the call on network failure", function(){
+        return helpers.getClosedServerUrl().then(function(url){
+            return createClient(url, { storage: VeloxServiceClient.storages.memory() }) ;
+        }).then(function(api){
+            return api.visits({ place: "p" }).then(function(result){
+                assert.strictEqual(result.queued, true) ;
+                assert.strictEqual(api.offlineQueue.isOnline(), false) ;
+            }) ;
+        }) ;
+    }) ;
+
+    test.it("drops a call after too many conflict retries", function(){
+        var failed = [] ;
+        var api ;
+        return createClient(server.url, {
+            storage: VeloxServiceClient.storages.memory(),
+            maxConflictRetries: 2,
+            onConflict: function(item, err, decide){
+                decide("retry") ;
+            },
+            onFailed: function(item){
+                failed.push(item) ;
+            }
+        }).then(function(client){
+            api = client ;
+            api.offlineQueue.setOnline(false) ;
+            return api.conflicts({ a: 1 }) ;
+        }).then(function(){
+            var count = server.requests.length ;
+            return new Promise(function(resolve){
+                api.offlineQueue.replay(function(){
+                    resolve(server.requests.length - count) ;
+                }) ;
+            }) ;
+        }).then(function(sent){
+            assert.strictEqual(sent, 3) ;
+            assert.strictEqual(failed.length, 1) ;
+            assert.strictEqual(api.offlineQueue.getItems().length, 0) ;
+        }) ;
+    }) ;
+
+    test.it("replays the queued call to its server", function(){
+        var otherServer ;
+        var api ;
+        return helpers.startServer(function(req, res){
+            helpers.sendJson(res, 200, { ok: true }) ;
+        }).then(function(s){
+            otherServer = s ;
+            api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", dataEncoding: "json", servers: { other: { url: otherServer.url } },
+                offline: { storage: VeloxServiceClient.storages.memory() } }) ;
+            api.use(VeloxServiceClientOffline) ;
+            api.addEndPoints([ { endpoint: "journal", method: "POST", offline: true, server: "other" } ]) ;
+            return api.init() ;
+        }).then(function(){
+            api.offlineQueue.setOnline(false) ;
+            return api.journal({ a: 1 }) ;
+        }).then(function(){
+            return new Promise(function(resolve, reject){
+                api.offlineQueue.replay(function(err){
+                    if(err){ return reject(err) ; }
+                    resolve() ;
+                }) ;
+            }) ;
+        }).then(function(){
+            assert.strictEqual(otherServer.requests.length, 1) ;
+            assert.strictEqual(otherServer.requests[0].url, "/journal") ;
+        }).then(function(){
+            return otherServer.close() ;
+        }, function(err){
+            return otherServer.close().then(function(){
+                throw err ;
+            }) ;
+        }) ;
+    }) ;
+
+    test.it("does not queue a call failing on timeout", function(){
+        var api ;
+        var count = server.requests.length ;
+        return createClient(server.url, { storage: VeloxServiceClient.storages.memory() }).then(function(client){
+            api = client ;
+            return api.slow({ a: 1 }) ;
+        }).then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceTimeoutError) ;
+            assert.strictEqual(api.offlineQueue.isOnline(), true) ;
+            assert.strictEqual(api.offlineQueue.getItems().length, 0) ;
+            assert.strictEqual(server.requests.length, count + 1) ;
+        }) ;
+    }) ;
+
+    test.it("sends the new calls while the replay is stalled", function(){
+        var api ;
+        var decision = "stop" ;
+        return createClient(server.url, {
+            storage: VeloxServiceClient.storages.memory(),
+            onConflict: function(item, err, decide){
+                decide(decision) ;
+            }
+        }).then(function(client){
+            api = client ;
+            api.offlineQueue.setOnline(false) ;
+            return api.conflicts({ a: 1 }) ;
+        }).then(function(){
+            return new Promise(function(resolve){
+                api.offlineQueue.replay(function(err){
+                    resolve(err) ;
+                }) ;
+            }) ;
+        }).then(function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceHttpError) ;
+            assert.strictEqual(api.offlineQueue.isStalled(), true) ;
+            assert.strictEqual(api.offlineQueue.getItems().length, 1) ;
+            assert.strictEqual(api.offlineQueue.isOnline(), true) ;
+            return api.visits({ a: 2 }) ;
+        }).then(function(result){
+            assert.deepStrictEqual(result, { ok: true }) ;
+            assert.strictEqual(api.offlineQueue.getItems().length, 1) ;
+            decision = "drop" ;
+            return new Promise(function(resolve, reject){
+                api.offlineQueue.replay(function(err){
+                    if(err){ return reject(err) ; }
+                    resolve() ;
+                }) ;
+            }) ;
+        }).then(function(){
+            assert.strictEqual(api.offlineQueue.isStalled(), false) ;
+            assert.strictEqual(api.offlineQueue.getItems().length, 0) ;
+        }) ;
+    }) ;
+}) ;
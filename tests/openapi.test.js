@@ -0,0 +1,112 @@
+/*global require, Buffer */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var VeloxServiceClientOpenApi = require("../VeloxServiceClientOpenApi") ;
+var helpers = require("./helpers") ;
+
+function createSpec(serverUrl){
+    return {
+        openapi: "3.0.0",
+        servers: [{ url: serverUrl, variables: { version: { default: "v1" } } }],
+        paths: {
+            "/items": {
+                get: { operationId: "listItems" }
+            },
+            "/files": {
+                post: {
+                    operationId: "sendFile",
+                    requestBody: { required: true, content: { "application/octet-stream": {} } }
+                }
+            }
+        }
+    } ;
+}
+
+test.describe("openApi", function(){
+    var server ;
+    test.before(function(){
+        return helpers.startServer(function(req, res, body){
+            helpers.sendJson(res, 200, { method: req.method, url: req.url, contentType: req.headers["content-type"] || null, body: body }) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    function createClient(serverUrl, spec){
+        var api = new VeloxServiceClient({ serverUrl: serverUrl, transport: "node", openApi: spec }) ;
+        api.use(VeloxServiceClientOpenApi) ;
+        return api.init().then(function(){
+            return api ;
+        }) ;
+    }
+
+    test.it("uses the base path of the document server", function(){
+        return createClient(server.url, createSpec("https://example.com/api/{version}")).then(function(api){
+            return api.listItems() ;
+        }).then(function(result){
+            assert.strictEqual(result.url, "/api/v1/items") ;
+        }) ;
+    }) ;
+
+    test.it("does not add the base path twice", function(){
+        return createClient(server.url+"api/v1/", createSpec("/api/v1")).then(function(api){
+            return api.listItems() ;
+        }).then(function(result){
+            assert.strictEqual(result.url, "/api/v1/items") ;
+        }) ;
+    }) ;
+
+    test.it("sends binary bodies raw", function(){
+        return createClient(server.url, createSpec("/")).then(function(api){
+            return api.sendFile(Buffer.from("abc")) ;
+        }).then(function(result){
+            assert.strictEqual(result.url, "/files") ;
+            assert.strictEqual(result.contentType, null) ;
+            assert.strictEqual(result.body, "abc") ;
+        }) ;
+    }) ;
+
+    test.it("registers all the operations of the document", function(){
+        var methods = ["get", "post", "put", "patch", "delete", "head", "options"] ;
+        var spec = createSpec("/") ;
+        spec.paths["/items/{id}"] = {} ;
+        methods.forEach(function(method){
+            spec.paths["/items/{id}"][method] = { parameters: [{ name: "id", in: "path", required: true }] } ;
+        }) ;
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        api.use(VeloxServiceClientOpenApi) ;
+        var names = api.addEndPointsFromOpenApi(spec) ;
+        var operationCount = 0 ;
+        Object.keys(spec.paths).forEach(function(path){
+            operationCount += Object.keys(spec.paths[path]).length ;
+        }) ;
+        assert.strictEqual(names.length, operationCount) ;
+        assert.ok(names.indexOf("patchItemsById") !== -1) ;
+        return api.patchItemsById(3, { a: 1 }).then(function(result){
+            assert.strictEqual(result.method, "PATCH") ;
+            assert.strictEqual(result.url, "/items/3") ;
+            return api.headItemsById.withOptions({ rawResponse: true })(3) ;
+        }).then(function(response){
+            assert.strictEqual(response.status, 200) ;
+            return api.optionsItemsById(3) ;
+        }).then(function(result){
+            assert.strictEqual(result.method, "OPTIONS") ;
+        }) ;
+    }) ;
+
+    test.it("refuses the operations it can't call", function(){
+        var spec = createSpec("/") ;
+        spec.paths["/items"].trace = {} ;
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node" }) ;
+        api.use(VeloxServiceClientOpenApi) ;
+        assert.throws(function(){
+            api.addEndPointsFromOpenApi(spec) ;
+        }, /Unsupported method TRACE/) ;
+    }) ;
+}) ;
@@ -0,0 +1,132 @@
+/*global require, Promise, setTimeout */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var VeloxServiceClientRealtime = require("../VeloxServiceClientRealtime") ;
+
+function wait(ms){
+    return new Promise(function(resolve){
+        setTimeout(resolve, ms) ;
+    }) ;
+}
+
+function createClient(options){
+    var api = new VeloxServiceClient(options) ;
+    api.use(VeloxServiceClientRealtime) ;
+    return api.init().then(function(){
+        return api ;
+    }) ;
+}
+
+function createMockClient(){
+    return createClient({ serverUrl: "http://localhost/", testMode: true, testMocks: { mocks: [], channels: [
+        { channel: "orders", messages: [ { id: 1 }, { id: 2 } ] }
+    ] }, realtime: { reconnect: { baseDelay: 10, jitter: false } } }) ;
+}
+
+test.describe("realtime", function(){
+    test.it("delivers the mocked messages to the subscribers", function(){
+        var api ;
+        var received = [] ;
+        return createMockClient().then(function(client){
+            api = client ;
+            api.subscribe("orders", function(data){
+                received.push(data) ;
+            }, { since: 3 }) ;
+            return wait(20) ;
+        }).then(function(){
+            assert.strictEqual(api.realtime.state, "open") ;
+            assert.deepStrictEqual(api.realtime.mock.sent, [ { type: "subscribe", channel: "orders", params: { since: 3 } } ]) ;
+            assert.deepStrictEqual(received, [ { id: 1 }, { id: 2 } ]) ;
+            api.realtime.mock.connection.emit("orders", { id: 3 }) ;
+            api.realtime.mock.connection.emit("other", { id: 4 }) ;
+            assert.deepStrictEqual(received, [ { id: 1 }, { id: 2 }, { id: 3 } ]) ;
+            return api.destroy() ;
+        }) ;
+    }) ;
+
+    test.it("unsubscribes and closes the connection without subscription", function(){
+        var api ;
+        var received = [] ;
+        var handler = function(data){
+            received.push(data) ;
+        } ;
+        return createMockClient().then(function(client){
+            api = client ;
+            api.subscribe("orders", handler) ;
+            api.subscribe("users", function(){}) ;
+            return wait(20) ;
+        }).then(function(){
+            api.realtime.unsubscribe("orders", handler) ;
+            assert.deepStrictEqual(api.realtime.mock.sent[api.realtime.mock.sent.length-1], { type: "unsubscribe", channel: "orders" }) ;
+            api.realtime.mock.connection.emit("orders", { id: 3 }) ;
+            assert.strictEqual(received.length, 2) ;
+            var closed = 0 ;
+            api.realtime.on("close", function(){
+                closed++ ;
+            }) ;
+            api.realtime.unsubscribe("users") ;
+            assert.strictEqual(api.realtime.state, "closed") ;
+            assert.strictEqual(api.realtime.mock.connection, null) ;
+            assert.strictEqual(closed, 1) ;
+        }) ;
+    }) ;
+
+    test.it("reconnects and subscribes again without delivering the mocked messages twice", function(){
+        var api ;
+        var received = [] ;
+        var events = [] ;
+        return createMockClient().then(function(client){
+            api = client ;
+            ["open", "close", "reconnecting"].forEach(function(event){
+                api.realtime.on(event, function(value){
+                    events.push(value === undefined ? event : event+" "+value) ;
+                }) ;
+            }) ;
+            api.subscribe("orders", function(data){
+                received.push(data) ;
+            }) ;
+            return wait(20) ;
+        }).then(function(){
+            api.realtime.mock.connection.disconnect() ;
+            return wait(40) ;
+        }).then(function(){
+            assert.deepStrictEqual(events, ["open", "close", "reconnecting 10", "open"]) ;
+            assert.strictEqual(api.realtime.mock.sent.filter(function(m){ return m.type === "subscribe" ; }).length, 2) ;
+            assert.deepStrictEqual(received, [ { id: 1 }, { id: 2 } ]) ;
+            return api.destroy() ;
+        }) ;
+    }) ;
+
+    test.it("waits longer after each failed connection", function(){
+        var api ;
+        var delays = [] ;
+        var sockets = [] ;
+        return createClient({ serverUrl: "http://localhost/", realtime: {
+            reconnect: { baseDelay: 5, factor: 2, jitter: false, maxAttempts: 3 },
+            createSocket: function(url, transport){
+                var socket = { url: url, transport: transport, close: function(){} } ;
+                sockets.push(socket) ;
+                setTimeout(function(){
+                    socket.onclose() ;
+                }, 0) ;
+                return socket ;
+            }
+        } }).then(function(client){
+            api = client ;
+            api.realtime.on("reconnecting", function(delay){
+                delays.push(delay) ;
+            }) ;
+            api.subscribe("orders", function(){}) ;
+            return wait(100) ;
+        }).then(function(){
+            assert.deepStrictEqual(delays, [5, 10, 20]) ;
+            assert.strictEqual(sockets.length, 4) ;
+            assert.strictEqual(sockets[0].url, "ws://localhost/realtime") ;
+            assert.strictEqual(sockets[0].transport, "websocket") ;
+            return api.destroy() ;
+        }) ;
+    }) ;
+}) ;
@@ -0,0 +1,80 @@
+/*global require */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var helpers = require("./helpers") ;
+
+test.describe("recording", function(){
+    var server ;
+    test.before(function(){
+        return helpers.startServer(function(req, res, body){
+            helpers.sendJson(res, 200, { method: req.method, url: req.url, body: body ? JSON.parse(body) : null, token: "secret" }) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    function record(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", dataEncoding: "json" }) ;
+        api.startRecording({ scrub: ["token", "password"] }) ;
+        return api.ajax("items", "GET", { q: "a" }).then(function(){
+            return api.ajax("items", "POST", { name: "foo", password: "p" }) ;
+        }).then(function(){
+            return api.ajax("items/1", "PATCH", { name: "bar" }) ;
+        }).then(function(){
+            return api.ajax("items/1", "PATCH", { name: "bar" }) ;
+        }).then(function(){
+            return api.stopRecording() ;
+        }) ;
+    }
+
+    test.it("exports the recorded calls as mocks", function(){
+        return record().then(function(testMocks){
+            assert.strictEqual(testMocks.mocks.length, 3) ;
+            var patch = testMocks.mocks.filter(function(m){ return m.method === "PATCH" ; })[0] ;
+            assert.deepStrictEqual(patch.body, { name: "bar" }) ;
+            assert.strictEqual(patch.query, undefined) ;
+            assert.strictEqual(patch.responses.length, 2) ;
+            var post = testMocks.mocks.filter(function(m){ return m.method === "POST" ; })[0] ;
+            assert.deepStrictEqual(post.body, { name: "foo" }) ;
+            assert.strictEqual(post.result.resultObj.token, "***") ;
+            //the export is plain JSON
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(testMocks)), testMocks) ;
+        }) ;
+    }) ;
+
+    test.it("replays the exported calls in test mode", function(){
+        return record().then(function(testMocks){
+            var count = server.requests.length ;
+            var api = new VeloxServiceClient({ serverUrl: server.url, dataEncoding: "json", testMode: true, testMocks: testMocks }) ;
+            return api.ajax("items", "GET", { q: "a" }).then(function(result){
+                assert.strictEqual(result.url, "/items?q=a") ;
+                return api.ajax("items", "POST", { name: "foo", password: "other" }) ;
+            }).then(function(result){
+                assert.deepStrictEqual(result.body, { name: "foo", password: "***" }) ;
+                return api.ajax("items/1", "PATCH", { name: "bar" }) ;
+            }).then(function(result){
+                assert.strictEqual(result.method, "PATCH") ;
+                assert.deepStrictEqual(result.body, { name: "bar" }) ;
+                assert.strictEqual(api.getMockCalls({ method: "PATCH" }).length, 1) ;
+                assert.strictEqual(server.requests.length, count) ;
+            }) ;
+        }) ;
+    }) ;
+
+    test.it("fails with a VeloxServiceMockMissingError on a call not recorded", function(){
+        return record().then(function(testMocks){
+            var api = new VeloxServiceClient({ serverUrl: server.url, dataEncoding: "json", testMode: true, testMocks: testMocks }) ;
+            return api.ajax("items/1", "PATCH", { name: "other" }) ;
+        }).then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceMockMissingError) ;
+        }) ;
+    }) ;
+}) ;
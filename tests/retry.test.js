@@ -0,0 +1,50 @@
+/*global require */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var helpers = require("./helpers") ;
+
+test.describe("retry", function(){
+    var server ;
+    var failures = {} ;
+    test.before(function(){
+        return helpers.startServer(function(req, res){
+            failures[req.url] = (failures[req.url] || 0) + 1 ;
+            if(failures[req.url] <= 2){
+                return helpers.sendJson(res, 503, { error: "busy" }) ;
+            }
+            helpers.sendJson(res, 200, { attempts: failures[req.url] }) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    test.it("retries on retryable status", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", retry: { baseDelay: 1, jitter: false } }) ;
+        return api.ajax("a", "GET").then(function(result){
+            assert.strictEqual(result.attempts, 3) ;
+        }) ;
+    }) ;
+
+    test.it("accepts lower case methods in policy", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", retry: { baseDelay: 1, jitter: false, methods: ["get"] } }) ;
+        return api.ajax("b", "GET").then(function(result){
+            assert.strictEqual(result.attempts, 3) ;
+        }) ;
+    }) ;
+
+    test.it("does not retry POST by default", function(){
+        var api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", retry: { baseDelay: 1, jitter: false } }) ;
+        return api.ajax("c", "POST", {}).then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.strictEqual(err.status, 503) ;
+            assert.strictEqual(failures["/c"], 1) ;
+        }) ;
+    }) ;
+}) ;
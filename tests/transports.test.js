@@ -0,0 +1,148 @@
+/*global require, global, Buffer, Uint8Array, setTimeout */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var helpers = require("./helpers") ;
+
+global.XMLHttpRequest = helpers.FakeXMLHttpRequest ;
+
+function echoServer(){
+    return helpers.startServer(function(req, res, body){
+        if(req.url.indexOf("/missing") === 0){
+            return helpers.sendJson(res, 404, { error: "not found" }) ;
+        }
+        if(req.url.indexOf("/slow") === 0){
+            return setTimeout(function(){
+                helpers.sendJson(res, 200, { slow: true }) ;
+            }, 300) ;
+        }
+        if(req.url.indexOf("/binary") === 0){
+            res.setHeader("Content-Type", "application/octet-stream") ;
+            return res.end(Buffer.from([1, 2, 3, 4])) ;
+        }
+        helpers.sendJson(res, 200, { method: req.method, url: req.url, contentType: req.headers["content-type"] || null,
+            custom: req.headers["x-custom"] || null, body: body }, { "X-Answer": "42" }) ;
+    }) ;
+}
+
+["xhr", "fetch", "node"].forEach(function(transport){
+    test.describe(transport+" transport", function(){
+        var server ;
+        var api ;
+        test.before(function(){
+            return echoServer().then(function(s){
+                server = s ;
+                api = new VeloxServiceClient({ serverUrl: server.url, transport: transport, dataEncoding: "json" }) ;
+            }) ;
+        }) ;
+        test.after(function(){
+            return server.close() ;
+        }) ;
+
+        test.it("sends GET data in query string", function(){
+            return api.ajax("items", "GET", { q: "a b", n: 2 }).then(function(result){
+                assert.strictEqual(result.method, "GET") ;
+                assert.strictEqual(result.url, "/items?q=a%20b&n=2") ;
+            }) ;
+        }) ;
+
+        test.it("sends JSON body with headers", function(){
+            return api.ajax("items", "POST", { name: "foo" }, "json", { headers: { "X-Custom": "bar" } }).then(function(result){
+                assert.strictEqual(result.contentType, "application/json") ;
+                assert.deepStrictEqual(JSON.parse(result.body), { name: "foo" }) ;
+                assert.strictEqual(result.custom, "bar") ;
+            }) ;
+        }) ;
+
+        test.it("sends form body", function(){
+            return api.ajax("items", "PUT", { name: "a b", n: 1 }, "form").then(function(result){
+                assert.strictEqual(result.contentType, "application/x-www-form-urlencoded") ;
+                assert.strictEqual(result.body, "name=a+b&n=1") ;
+            }) ;
+        }) ;
+
+        test.it("reports the upload progress", function(){
+            var progresses = [] ;
+            return api.ajax("items", "POST", { name: "foo" }, "json", { onUploadProgress: function(p){
+                progresses.push(p) ;
+            } }).then(function(){
+                var last = progresses[progresses.length-1] ;
+                assert.ok(last) ;
+                assert.strictEqual(last.loaded, Buffer.byteLength(JSON.stringify({ name: "foo" }))) ;
+                assert.strictEqual(last.percentage, 100) ;
+            }) ;
+        }) ;
+
+        test.it("gives the raw response with headers", function(){
+            return api.ajax("items", "GET", null, { rawResponse: true }).then(function(response){
+                assert.strictEqual(response.status, 200) ;
+                assert.strictEqual(response.headers["x-answer"], "42") ;
+            }) ;
+        }) ;
+
+        test.it("reads binary responses", function(){
+            return api.ajax("binary", "GET", null, "json", "arraybuffer").then(function(result){
+                assert.deepStrictEqual(Array.from(new Uint8Array(result)), [1, 2, 3, 4]) ;
+            }) ;
+        }) ;
+
+        test.it("fails with a VeloxServiceHttpError on error status", function(){
+            return api.ajax("missing", "GET").then(function(){
+                assert.fail("should fail") ;
+            }, function(err){
+                assert.ok(err instanceof VeloxServiceClient.VeloxServiceHttpError) ;
+                assert.strictEqual(err.status, 404) ;
+                assert.deepStrictEqual(err.body, { error: "not found" }) ;
+            }) ;
+        }) ;
+
+        test.it("fails with a VeloxServiceNetworkError when the server is down", function(){
+            return helpers.getClosedServerUrl().then(function(url){
+                var downApi = new VeloxServiceClient({ serverUrl: url, transport: transport }) ;
+                return downApi.ajax("items", "GET") ;
+            }).then(function(){
+                assert.fail("should fail") ;
+            }, function(err){
+                assert.ok(err instanceof VeloxServiceClient.VeloxServiceNetworkError) ;
+            }) ;
+        }) ;
+
+        test.it("posts with the transport outside browser", function(){
+            var count = server.requests.length ;
+            return api.post("form", "POST", { a: 1 }, "form").then(function(){
+                var request = server.requests[count] ;
+                assert.strictEqual(request.url, "/form") ;
+                assert.strictEqual(request.body, "a=1") ;
+            }) ;
+        }) ;
+
+        test.it("fails with a VeloxServiceTimeoutError after the timeout", function(){
+            return api.ajax("slow", "GET", null, { timeout: 50 }).then(function(){
+                assert.fail("should fail") ;
+            }, function(err){
+                assert.ok(err instanceof VeloxServiceClient.VeloxServiceTimeoutError) ;
+            }) ;
+        }) ;
+
+        test.it("applies the timeout option of the client", function(){
+            var timeoutApi = new VeloxServiceClient({ serverUrl: server.url, transport: transport, timeout: 50 }) ;
+            return timeoutApi.ajax("slow", "GET").then(function(){
+                assert.fail("should fail") ;
+            }, function(err){
+                assert.ok(err instanceof VeloxServiceClient.VeloxServiceTimeoutError) ;
+            }) ;
+        }) ;
+
+        test.it("aborts the call", function(){
+            var call = api.ajax("items", "GET") ;
+            call.abort() ;
+            return call.then(function(){
+                assert.fail("should fail") ;
+            }, function(err){
+                assert.ok(err instanceof VeloxServiceClient.VeloxServiceAbortError) ;
+            }) ;
+        }) ;
+    }) ;
+}) ;
@@ -0,0 +1,92 @@
+/*global require, Buffer */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var helpers = require("./helpers") ;
+
+function getField(body, name){
+    var match = new RegExp("name=\""+name+"\"\\r\\n\\r\\n([^\\r]*)").exec(body) ;
+    return match ? match[1] : null ;
+}
+
+test.describe("upload", function(){
+    var server ;
+    var failChunk = null ;
+    test.before(function(){
+        return helpers.startServer(function(req, res, body){
+            var chunkIndex = parseInt(getField(body, "chunkIndex"), 10) ;
+            if(chunkIndex === failChunk){
+                failChunk = null ;
+                return helpers.sendJson(res, 400, { error: "refused" }) ;
+            }
+            helpers.sendJson(res, 200, { chunkIndex: chunkIndex }) ;
+        }).then(function(s){
+            server = s ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    function upload(api, content, options){
+        var count = server.requests.length ;
+        var uploadOptions = { chunkSize: 4, storage: options.storage, uploadKey: options.uploadKey, server: options.server } ;
+        return api.upload("files", "POST", { file: Buffer.from(content) }, uploadOptions).then(function(){
+            return server.requests.slice(count).map(function(request){
+                return parseInt(getField(request.body, "chunkIndex"), 10) ;
+            }) ;
+        }, function(){
+            return null ;
+        }) ;
+    }
+
+    function createClient(){
+        return new VeloxServiceClient({ serverUrl: server.url, transport: "node", servers: { other: { url: server.url } } }) ;
+    }
+
+    test.it("resumes a Buffer upload only with an upload key", function(){
+        var api = createClient() ;
+        var storage = VeloxServiceClient.storages.memory() ;
+        failChunk = 1 ;
+        return upload(api, "aaaabbbbcccc", { storage: storage }).then(function(chunks){
+            assert.strictEqual(chunks, null) ;
+            return upload(api, "xxxxyyyyzzzz", { storage: storage }) ;
+        }).then(function(chunks){
+            assert.deepStrictEqual(chunks, [0, 1, 2]) ;
+            failChunk = 1 ;
+            return upload(api, "aaaabbbbcccc", { storage: storage, uploadKey: "a" }) ;
+        }).then(function(chunks){
+            assert.strictEqual(chunks, null) ;
+            return upload(api, "xxxxyyyyzzzz", { storage: storage, uploadKey: "x" }) ;
+        }).then(function(chunks){
+            assert.deepStrictEqual(chunks, [0, 1, 2]) ;
+            return upload(api, "aaaabbbbcccc", { storage: storage, uploadKey: "a" }) ;
+        }).then(function(chunks){
+            assert.deepStrictEqual(chunks, [1, 2]) ;
+        }) ;
+    }) ;
+
+    test.it("does not resume the upload of another server", function(){
+        var api = createClient() ;
+        var storage = VeloxServiceClient.storages.memory() ;
+        failChunk = 1 ;
+        return upload(api, "aaaabbbbcccc", { storage: storage, uploadKey: "a" }).then(function(chunks){
+            assert.strictEqual(chunks, null) ;
+            return upload(api, "aaaabbbbcccc", { storage: storage, uploadKey: "a", server: "other" }) ;
+        }).then(function(chunks){
+            assert.deepStrictEqual(chunks, [0, 1, 2]) ;
+        }) ;
+    }) ;
+
+    test.it("gives an error for an unknown protocol", function(){
+        var api = createClient() ;
+        return api.upload("files", "POST", { file: Buffer.from("abc") }, { protocol: "unknown" }).then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceError) ;
+            assert.ok(/unknown/.test(err.message)) ;
+        }) ;
+    }) ;
+}) ;
@@ -0,0 +1,115 @@
+/*global require */
+"use strict";
+
+var test = require("node:test") ;
+var assert = require("node:assert") ;
+var VeloxServiceClient = require("../VeloxServiceClient") ;
+var helpers = require("./helpers") ;
+
+test.describe("validation", function(){
+    var server ;
+    var api ;
+    test.before(function(){
+        return helpers.startServer(function(req, res, body){
+            if(req.url.indexOf("/wrong") === 0){
+                return helpers.sendJson(res, 200, { id: "not a number" }) ;
+            }
+            helpers.sendJson(res, 200, { url: req.url, body: body ? JSON.parse(body) : null }) ;
+        }).then(function(s){
+            server = s ;
+            api = new VeloxServiceClient({ serverUrl: server.url, transport: "node", dataEncoding: "json" }) ;
+            api.addEndPoints([
+                { endpoint: "counts", method: "POST", args: [ { name: "count", type: "integer" }, { name: "enabled", type: "boolean", optional: true } ] },
+                { endpoint: "meetings", method: "POST", name: "meetings/create", args: [ { name: "date", type: "date" } ] },
+                { endpoint: "users", method: "POST", args: [ { name: "user", in: "body", schema: { type: "object", required: ["name"],
+                    properties: { name: { type: "string", minLength: 2 }, age: { type: "integer", minimum: 0 } } } } ] },
+                { endpoint: "wrong", method: "GET", responseSchema: { type: "object", properties: { id: { type: "integer" } } } }
+            ]) ;
+        }) ;
+    }) ;
+    test.after(function(){
+        return server.close() ;
+    }) ;
+
+    function expectValidationError(promise, count){
+        return promise.then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceValidationError) ;
+            assert.strictEqual(server.requests.length, count) ;
+            return err.errors ;
+        }) ;
+    }
+
+    test.it("coerces the numeric and boolean strings", function(){
+        return api.counts("12", "true").then(function(result){
+            assert.deepStrictEqual(result.body, { count: 12, enabled: true }) ;
+        }) ;
+    }) ;
+
+    test.it("sends the dates as ISO strings", function(){
+        return api.meetings.create(new Date(Date.UTC(2024, 0, 2, 3, 4, 5))).then(function(result){
+            assert.deepStrictEqual(result.body, { date: "2024-01-02T03:04:05.000Z" }) ;
+        }) ;
+    }) ;
+
+    test.it("coerces the properties of a body argument", function(){
+        return api.users({ name: "joe", age: "30" }).then(function(result){
+            assert.deepStrictEqual(result.body, { name: "joe", age: 30 }) ;
+        }) ;
+    }) ;
+
+    test.it("refuses the values having a wrong type", function(){
+        var count = server.requests.length ;
+        return expectValidationError(api.counts("abc"), count).then(function(errors){
+            assert.deepStrictEqual(errors, [ { field: "count", message: "should be of type integer", value: "abc" } ]) ;
+            return expectValidationError(api.counts(1.5), count) ;
+        }).then(function(errors){
+            assert.strictEqual(errors[0].message, "should be of type integer") ;
+            return expectValidationError(api.counts(1, "yes"), count) ;
+        }).then(function(errors){
+            assert.deepStrictEqual(errors, [ { field: "enabled", message: "should be of type boolean", value: "yes" } ]) ;
+        }) ;
+    }) ;
+
+    test.it("refuses the body not matching the schema", function(){
+        var count = server.requests.length ;
+        return expectValidationError(api.users({ age: -1 }), count).then(function(errors){
+            assert.deepStrictEqual(errors, [
+                { field: "user.name", message: "is required" },
+                { field: "user.age", message: "should be >= 0", value: -1 }
+            ]) ;
+            return expectValidationError(api.users({ name: "j" }), count) ;
+        }).then(function(errors){
+            assert.deepStrictEqual(errors, [ { field: "user.name", message: "should have at least 2 characters", value: "j" } ]) ;
+        }) ;
+    }) ;
+
+    test.it("refuses the missing required arguments", function(){
+        var count = server.requests.length ;
+        return expectValidationError(api.counts(), count).then(function(errors){
+            assert.deepStrictEqual(errors, [ { field: "count", message: "is required" } ]) ;
+        }) ;
+    }) ;
+
+    test.it("does not validate the missing optional arguments", function(){
+        return api.counts(1, null).then(function(result){
+            assert.deepStrictEqual(result.body, { count: 1, enabled: null }) ;
+        }) ;
+    }) ;
+
+    test.it("validates the responses when asked", function(){
+        var client = new VeloxServiceClient({ serverUrl: server.url, transport: "node", validateResponses: true }) ;
+        client.addEndPoint("wrong", "GET", "ajax", null, null, [], { responseSchema: { type: "object", properties: { id: { type: "integer" } } } }) ;
+        return client.wrong().then(function(){
+            assert.fail("should fail") ;
+        }, function(err){
+            assert.ok(err instanceof VeloxServiceClient.VeloxServiceValidationError) ;
+            assert.deepStrictEqual(err.errors, [ { field: "response.id", message: "should be of type integer", value: "not a number" } ]) ;
+            return api.wrong() ;
+        }).then(function(result){
+            //not validated by default outside test mode
+            assert.deepStrictEqual(result, { id: "not a number" }) ;
+        }) ;
+    }) ;
+}) ;